@@ -3,37 +3,76 @@ import {
   PLAYERS_TTL_DAYS,
   PLAYERS_IDB_DB,
   PLAYERS_IDB_STORE,
-  PLAYERS_IDB_KEY
+  PLAYERS_IDB_KEY,
+  PLAYERS_TIMEOUT_MS,
+  IDB_VERSION,
+  WEEKS_IDB_STORE
 } from './constants.js';
-import { cache } from './cache.js';
+import { cache, state } from './cache.js';
+import { fetchJSON, usesBrowserCache } from './dataSource.js';
+import { isAbortError } from './scheduler.js';
 
-async function getJSON(url) {
-  const res = await fetch(url, { headers: { Accept: 'application/json' } });
-  if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
-  return await res.json();
+// Paths are relative to the Sleeper API root; dataSource.js picks the backend.
+// options: { signal, timeoutMs, retries } for the request scheduler
+function getJSON(path, options) {
+  return fetchJSON(path, options);
 }
 
 // IndexedDB helpers
+// One connection per page, reopened if another tab upgrades the schema
+let dbPromise = null;
+
 function openIdb() {
-  return new Promise((resolve, reject) => {
-    const open = indexedDB.open(PLAYERS_IDB_DB, 1);
-    open.onupgradeneeded = () => {
-      const db = open.result;
-      if (!db.objectStoreNames.contains(PLAYERS_IDB_STORE)) {
-        db.createObjectStore(PLAYERS_IDB_STORE);
-      }
-    };
-    open.onerror = () => reject(open.error);
-    open.onsuccess = () => resolve(open.result);
-  });
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      let settled = false;
+      const open = indexedDB.open(PLAYERS_IDB_DB, IDB_VERSION);
+      open.onupgradeneeded = () => {
+        const db = open.result;
+        if (!db.objectStoreNames.contains(PLAYERS_IDB_STORE)) {
+          db.createObjectStore(PLAYERS_IDB_STORE);
+        }
+        if (!db.objectStoreNames.contains(WEEKS_IDB_STORE)) {
+          db.createObjectStore(WEEKS_IDB_STORE);
+        }
+      };
+      // An older tab still holds a v1 connection; run uncached until it closes
+      open.onblocked = () => {
+        settled = true;
+        reject(new Error('IndexedDB upgrade blocked'));
+      };
+      open.onerror = () => {
+        settled = true;
+        reject(open.error);
+      };
+      open.onsuccess = () => {
+        const db = open.result;
+        // Unblocked after we gave up on it; nothing holds this connection
+        if (settled) {
+          db.close();
+          return;
+        }
+        settled = true;
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
 }
 
-async function idbGet(key) {
+async function idbGet(storeName, key) {
   try {
     const db = await openIdb();
     return await new Promise((res, rej) => {
-      const tx = db.transaction(PLAYERS_IDB_STORE, 'readonly');
-      const store = tx.objectStore(PLAYERS_IDB_STORE);
+      const tx = db.transaction(storeName, 'readonly');
+      const store = tx.objectStore(storeName);
       const req = store.get(key);
       req.onsuccess = () => res(req.result || null);
       req.onerror = () => rej(req.error);
@@ -43,12 +82,12 @@ async function idbGet(key) {
   }
 }
 
-async function idbSet(key, value) {
+async function idbSet(storeName, key, value) {
   try {
     const db = await openIdb();
     await new Promise((res, rej) => {
-      const tx = db.transaction(PLAYERS_IDB_STORE, 'readwrite');
-      const store = tx.objectStore(PLAYERS_IDB_STORE);
+      const tx = db.transaction(storeName, 'readwrite');
+      const store = tx.objectStore(storeName);
       store.put(value, key);
       tx.oncomplete = () => res();
       tx.onerror = () => rej(tx.error);
@@ -56,12 +95,24 @@ async function idbSet(key, value) {
   } catch (e) {}
 }
 
-async function idbDelete(key) {
+async function idbClear(storeName) {
+  try {
+    const db = await openIdb();
+    await new Promise((res, rej) => {
+      const tx = db.transaction(storeName, 'readwrite');
+      tx.objectStore(storeName).clear();
+      tx.oncomplete = () => res();
+      tx.onerror = () => rej(tx.error);
+    });
+  } catch (e) {}
+}
+
+async function idbDelete(storeName, key) {
   try {
     const db = await openIdb();
     await new Promise((res, rej) => {
-      const tx = db.transaction(PLAYERS_IDB_STORE, 'readwrite');
-      const store = tx.objectStore(PLAYERS_IDB_STORE);
+      const tx = db.transaction(storeName, 'readwrite');
+      const store = tx.objectStore(storeName);
       store.delete(key);
       tx.oncomplete = () => res();
       tx.onerror = () => rej(tx.error);
@@ -69,18 +120,50 @@ async function idbDelete(key) {
   } catch (e) {}
 }
 
+/**
+ * Loads one week of a per-week league endpoint (transactions or matchups)
+ * Weeks before the league's current week (state.leagueWeeks) are complete and
+ * never change, so they are served from IndexedDB forever once stored. The
+ * current week, anything after it, and every week of a league whose current
+ * week isn't known yet always come from the network and are never persisted.
+ * Nor is an empty response: Sleeper may not have the week's data yet.
+ * @param {string} kind - 'transactions' or 'matchups'
+ * @param {string} leagueId - Sleeper league ID
+ * @param {number} week - Week number
+ * @param {Object} [options] - Request scheduler options (signal, ...)
+ * @returns {Promise<Array>} The week's response
+ */
+async function getLeagueWeek(kind, leagueId, week, options) {
+  const path = `/league/${leagueId}/${kind}/${week}`;
+  const currentWeek = state.leagueWeeks.get(leagueId);
+  const complete = usesBrowserCache() && currentWeek && week < currentWeek;
+  if (!complete) return getJSON(path, options);
+
+  const key = `${leagueId}/${kind}/${week}`;
+  const stored = await idbGet(WEEKS_IDB_STORE, key);
+  if (stored && stored.data) return stored.data;
+
+  const data = await getJSON(path, options);
+  if (Array.isArray(data) && data.length > 0) {
+    idbSet(WEEKS_IDB_STORE, key, { savedAt: Date.now(), data });
+  }
+  return data;
+}
+
 export const api = {
-  league: leagueId => getJSON(`https://api.sleeper.app/v1/league/${leagueId}`),
-  rosters: leagueId =>
-    getJSON(`https://api.sleeper.app/v1/league/${leagueId}/rosters`),
-  leagueUsers: leagueId =>
-    getJSON(`https://api.sleeper.app/v1/league/${leagueId}/users`),
+  league: (leagueId, options) => getJSON(`/league/${leagueId}`, options),
+  rosters: (leagueId, options) =>
+    getJSON(`/league/${leagueId}/rosters`, options),
+  leagueUsers: (leagueId, options) =>
+    getJSON(`/league/${leagueId}/users`, options),
   playersAllNFL: async () => {
     if (cache.playersAll) return cache.playersAll;
 
     const ttlMs = PLAYERS_TTL_DAYS * 24 * 60 * 60 * 1000;
     const now = Date.now();
-    const stored = await idbGet(PLAYERS_IDB_KEY);
+    const stored = usesBrowserCache()
+      ? await idbGet(PLAYERS_IDB_STORE, PLAYERS_IDB_KEY)
+      : null;
     if (
       stored &&
       stored.data &&
@@ -91,76 +174,105 @@ export const api = {
       return cache.playersAll;
     }
 
-    const data = await getJSON('https://api.sleeper.app/v1/players/nfl');
+    const data = await getJSON('/players/nfl', {
+      timeoutMs: PLAYERS_TIMEOUT_MS
+    });
     cache.playersAll = data;
-    idbSet(PLAYERS_IDB_KEY, { savedAt: now, data });
+    if (usesBrowserCache()) {
+      idbSet(PLAYERS_IDB_STORE, PLAYERS_IDB_KEY, { savedAt: now, data });
+    }
     return data;
   },
-  transactions: (leagueId, week) =>
-    getJSON(
-      `https://api.sleeper.app/v1/league/${leagueId}/transactions/${week}`
-    ),
-  matchups: (leagueId, week) =>
-    getJSON(
-      `https://api.sleeper.app/v1/league/${leagueId}/matchups/${week}`
-    ),
+  transactions: (leagueId, week, options) =>
+    getLeagueWeek('transactions', leagueId, week, options),
+  matchups: (leagueId, week, options) =>
+    getLeagueWeek('matchups', leagueId, week, options),
+  user: (usernameOrId, options) =>
+    getJSON(`/user/${encodeURIComponent(usernameOrId)}`, options),
+  userLeagues: (userId, season, options) =>
+    getJSON(`/user/${userId}/leagues/nfl/${season}`, options),
+  // { week, season, season_type: 'pre'|'regular'|'post'|'off', season_start_date, ... }
+  nflState: options => getJSON('/state/nfl', options),
 
   /**
    * Detects the current NFL week by finding the most recent week with scoring or transactions
+   * Fallback for when Sleeper's /state/nfl can't be used (see season.js)
    * Checks both matchups (for scoring) and transactions to determine the actual current week
+   * All weeks are probed in parallel through the request scheduler
    * @param {string} leagueId - Sleeper league ID to check
    * @param {number} maxWeek - Maximum week to check (default 18)
+   * @param {Object} [options] - { signal } to cancel the probes
    * @returns {Promise<number>} The current week number
    */
-  async detectCurrentWeek(leagueId, maxWeek = 18) {
+  async detectCurrentWeek(leagueId, maxWeek = 18, options = {}) {
+    // A week that fails to load simply doesn't count as having data
+    const probe = fetchWeek =>
+      fetchWeeks(maxWeek, async week => {
+        try {
+          return await fetchWeek(week);
+        } catch (e) {
+          if (isAbortError(e)) throw e;
+          return [];
+        }
+      });
+
+    const [matchupsByWeek, transactionsByWeek] = await Promise.all([
+      probe(week => api.matchups(leagueId, week, options)),
+      probe(week => api.transactions(leagueId, week, options))
+    ]);
+
+    // Most recent week where any team has points > 0
     let scoringWeek = 1;
+    matchupsByWeek.forEach((matchups, i) => {
+      if (matchups.some(m => m.points && m.points > 0)) scoringWeek = i + 1;
+    });
+
+    // Most recent week with any transactions
     let transactionWeek = 1;
-    
-    // Check for most recent week with scoring
-    for (let week = maxWeek; week >= 1; week--) {
-      try {
-        const matchups = await getJSON(
-          `https://api.sleeper.app/v1/league/${leagueId}/matchups/${week}`
-        );
-        
-        // Check if any team has points > 0
-        const hasScoring = matchups.some(m => m.points && m.points > 0);
-        if (hasScoring) {
-          scoringWeek = week;
-          break;
-        }
-      } catch (e) {
-        continue;
-      }
-    }
-    
-    // Check for most recent week with transactions
-    for (let week = maxWeek; week >= 1; week--) {
-      try {
-        const transactions = await getJSON(
-          `https://api.sleeper.app/v1/league/${leagueId}/transactions/${week}`
-        );
-        
-        // Check if there are any completed transactions
-        if (transactions && transactions.length > 0) {
-          transactionWeek = week;
-          break;
-        }
-      } catch (e) {
-        continue;
-      }
-    }
-    
+    transactionsByWeek.forEach((transactions, i) => {
+      if (transactions.length > 0) transactionWeek = i + 1;
+    });
+
     // Return the maximum of scoring week and transaction week
     return Math.max(scoringWeek, transactionWeek);
   }
 };
 
-// used by footer button
-export async function clearPlayersCache() {
+/**
+ * Loads one per-week endpoint for weeks 1..maxWeek in parallel
+ * (concurrency is bounded by the request scheduler)
+ * A 404 counts as a week without data; any other error rejects the whole load
+ * @param {number} maxWeek - Last week to fetch
+ * @param {function(number): Promise<Array>} fetchWeek - Loads a single week
+ * @returns {Promise<Array<Array>>} One array per week; index 0 is week 1
+ */
+export function fetchWeeks(maxWeek, fetchWeek) {
+  const weeks = [];
+  for (let wk = 1; wk <= maxWeek; wk++) weeks.push(wk);
+  return Promise.all(
+    weeks.map(async wk => {
+      try {
+        const arr = await fetchWeek(wk);
+        return Array.isArray(arr) ? arr : [];
+      } catch (e) {
+        if (e.status === 404) return [];
+        throw e;
+      }
+    })
+  );
+}
+
+// used by footer button: the player directory and every stored week, so a
+// stat correction (or a week stored too early) can be picked up
+export async function clearCachedData() {
   cache.playersAll = null;
-  await idbDelete(PLAYERS_IDB_KEY);
+  cache.transactions.clear();
+  cache.matchups.clear();
+  await Promise.all([
+    idbDelete(PLAYERS_IDB_STORE, PLAYERS_IDB_KEY),
+    idbClear(WEEKS_IDB_STORE)
+  ]);
   alert(
-    'Player directory cache cleared. It will re-download the next time you open a team.'
+    'Cached data cleared. Players and weekly results will re-download the next time a tab needs them.'
   );
 }
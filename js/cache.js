@@ -1,11 +1,12 @@
 // js/cache.js
+// Filled by leagueData.js - views should read through its accessors
 export const cache = {
-  leagues: new Map(),
-  rosters: new Map(),
-  users: new Map(),
-  playersAll: null,
-  transactions: new Map(),
-  matchups: new Map()
+  leagues: new Map(),       // league_id -> league object
+  rosters: new Map(),       // league_id -> rosters array
+  users: new Map(),         // league_id -> users array
+  playersAll: null,         // NFL player directory object
+  transactions: new Map(),  // league_id -> Map(week -> transactions array)
+  matchups: new Map()       // league_id -> Map(week -> matchups array)
 };
 
 export const state = {
@@ -13,5 +14,12 @@ export const state = {
   activePrimaryTab: 'teams',
   statsLoaded: false,
   fabSpendingLoaded: false,
-  currentWeek: null  // Dynamically detected current NFL week (max of scoring week and transaction week)
+  lineupsLoaded: false,
+  playerSearchLoaded: false,
+  compareLoaded: false,
+  currentWeek: null,   // Current NFL week, from /state/nfl (or probed from league data, see season.js)
+  season: null,        // NFL season year from /state/nfl, e.g. '2024'
+  seasonType: null,    // 'pre' | 'regular' | 'post' | 'off'
+  seasonStartMs: null, // Kickoff date of `season` (UTC midnight)
+  leagueWeeks: new Map() // league_id -> that league's current week (see season.js loadLeagueWeeks)
 };
@@ -0,0 +1,425 @@
+// js/compareView.js
+// Compare tab: two or more teams, from any of the configured leagues, side by
+// side - weekly score lines, FAB remaining over the season, FAB spent, bid
+// history and current rosters by slot.
+//
+// The teams being compared are kept in the URL as
+// `compare=<leagueId>:<rosterId>,<leagueId>:<rosterId>`.
+
+import { state } from './cache.js';
+import {
+  getLeagueBundle,
+  getSeasonMatchups,
+  getTransactions,
+  getPlayers,
+  eliminatedWeek
+} from './leagueData.js';
+import { el, fmtFab, svgNode } from './dom.js';
+import { getPlayerName, teamNameFor } from './names.js';
+import { getLeagueConfigs } from './leagueConfig.js';
+import { isAbortError } from './scheduler.js';
+import { getRoute, updateRoute, routeHref } from './router.js';
+import { computeFABTimeline, CHART_COLORS } from './fabSpendingView.js';
+import { computeWeeklyHistory } from './teamSeason.js';
+import { assignStarters, slotLabel, positionColor } from './rosterSlots.js';
+import { playerLink } from './playerDrawer.js';
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 220;
+const CHART_MARGIN = { top: 12, right: 12, bottom: 26, left: 46 };
+
+// Teams being compared: [{ leagueId, rosterId }]
+let selection = [];
+// Loaded per league once the tab has been opened:
+// leagueId -> { league, rosters, users, matchups, transactions, timelines }
+let leagueData = null;
+let playersAll = null;
+
+function parseSelection(param) {
+  return (param || '')
+    .split(',')
+    .map(part => part.split(':'))
+    .filter(([leagueId, rosterId]) => leagueId && rosterId)
+    .map(([leagueId, rosterId]) => ({ leagueId, rosterId: Number(rosterId) }));
+}
+
+function formatSelection(teams) {
+  return teams.map(t => `${t.leagueId}:${t.rosterId}`).join(',');
+}
+
+/**
+ * Link to the Compare tab with a team added to the current comparison
+ * @param {string} leagueId - Sleeper league ID
+ * @param {number|string} rosterId - Roster ID within the league
+ * @returns {string}
+ */
+export function compareHref(leagueId, rosterId) {
+  const teams = parseSelection(getRoute().params.compare);
+  if (!teams.some(t => t.leagueId === leagueId && t.rosterId === Number(rosterId))) {
+    teams.push({ leagueId, rosterId: Number(rosterId) });
+  }
+  return routeHref({ tab: 'compare', compare: formatSelection(teams) });
+}
+
+// Everything the columns and charts need for one selected team
+function teamSummary({ leagueId, rosterId }, index) {
+  const data = leagueData.get(leagueId);
+  if (!data) return null;
+  const roster = data.rosters.find(r => Number(r.roster_id) === rosterId);
+  if (!roster) return null;
+  const timeline = data.timelines.find(t => t.rosterId === rosterId);
+  const bids = data.transactions
+    .filter(
+      tx =>
+        tx.type === 'waiver' &&
+        tx.status === 'complete' &&
+        tx.roster_ids &&
+        Number(tx.roster_ids[0]) === rosterId
+    )
+    .sort((a, b) => a._week - b._week || (a.status_updated || 0) - (b.status_updated || 0))
+    .flatMap(tx =>
+      Object.keys(tx.adds || {}).map(playerId => ({
+        week: tx._week,
+        playerId,
+        bid: Number((tx.settings && tx.settings.waiver_bid) || 0)
+      }))
+    );
+
+  return {
+    leagueId,
+    rosterId,
+    league: data.league,
+    roster,
+    color: CHART_COLORS[index % CHART_COLORS.length],
+    teamName: teamNameFor(data.users, roster),
+    chopWeek: eliminatedWeek(roster),
+    timeline,
+    history: computeWeeklyHistory(data.matchups, rosterId),
+    bids
+  };
+}
+
+/**
+ * Shared line chart: one line per team over the season's weeks
+ * @param {Array<{color: string, label: string, points: Array<{x: number, y: number}>}>} series
+ * @param {Object} options
+ * @param {number} options.maxX - Last week on the axis
+ * @param {number} options.maxY - Top of the axis
+ * @param {function(number): string} options.formatY - Axis label
+ * @returns {SVGElement}
+ */
+function buildLineChart(series, { maxX, maxY, formatY }) {
+  const { top, right, bottom, left } = CHART_MARGIN;
+  const width = CHART_WIDTH - left - right;
+  const height = CHART_HEIGHT - top - bottom;
+  const x = v => left + (maxX ? v / maxX : 0) * width;
+  const y = v => top + height - (maxY ? v / maxY : 0) * height;
+
+  const svg = svgNode('svg', {
+    class: 'compare-chart',
+    viewBox: `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`,
+    role: 'img'
+  });
+
+  for (let i = 0; i <= 4; i++) {
+    const value = (maxY / 4) * i;
+    svg.append(
+      svgNode('line', { class: 'compare-grid-line', x1: left, x2: left + width, y1: y(value), y2: y(value) })
+    );
+    const label = svgNode('text', { class: 'compare-axis', x: left - 6, y: y(value) + 4, 'text-anchor': 'end' });
+    label.textContent = formatY(value);
+    svg.append(label);
+  }
+  for (let week = 1; week <= maxX; week++) {
+    const label = svgNode('text', { class: 'compare-axis', x: x(week), y: CHART_HEIGHT - 8, 'text-anchor': 'middle' });
+    label.textContent = String(week);
+    svg.append(label);
+  }
+
+  series.forEach(s => {
+    if (s.points.length === 0) return;
+    const line = svgNode('polyline', {
+      class: 'compare-line',
+      stroke: s.color,
+      points: s.points.map(p => `${x(p.x)},${y(p.y)}`).join(' ')
+    });
+    const title = svgNode('title', {});
+    title.textContent = s.label;
+    line.append(title);
+    svg.append(line);
+  });
+  return svg;
+}
+
+function buildScoreChart(teams) {
+  const maxX = Math.max(1, ...teams.flatMap(t => t.history.map(h => h.week)));
+  const maxY = Math.max(1, ...teams.flatMap(t => t.history.map(h => h.points)));
+  return buildLineChart(
+    teams.map(t => ({
+      color: t.color,
+      label: t.teamName,
+      points: t.history.map(h => ({ x: h.week, y: h.points }))
+    })),
+    { maxX, maxY: Math.ceil(maxY / 25) * 25, formatY: v => String(Math.round(v)) }
+  );
+}
+
+// Percent of budget when the leagues' budgets differ, dollars otherwise
+function buildFABChart(teams) {
+  // Bids land anywhere within the current week
+  const maxX = (state.currentWeek || 0) + 1;
+  const budgets = new Set(teams.map(t => t.timeline.budget));
+  const percent = budgets.size > 1;
+  const value = (t, fab) => (percent ? (t.timeline.budget ? (fab / t.timeline.budget) * 100 : 0) : fab);
+  return buildLineChart(
+    teams.map(t => ({
+      color: t.color,
+      label: t.teamName,
+      // Step line: FAB holds until the next winning bid
+      points: t.timeline.points.flatMap((p, i, all) => {
+        const at = p.week + p.weekProgress;
+        const prev = all[i - 1];
+        return prev ? [{ x: at, y: value(t, prev.fab) }, { x: at, y: value(t, p.fab) }] : [{ x: at, y: value(t, p.fab) }];
+      }).concat([{ x: maxX, y: value(t, t.timeline.currentFab) }])
+    })),
+    {
+      maxX,
+      maxY: percent ? 100 : Math.max(1, ...budgets),
+      formatY: v => (percent ? `${Math.round(v)}%` : fmtFab(Math.round(v)))
+    }
+  );
+}
+
+function statRow(label, value) {
+  return el('div', { class: 'compare-stat' }, el('span', { class: 'muted' }, label), el('span', {}, value));
+}
+
+function buildTeamColumn(team) {
+  const { league, roster, timeline, history, bids } = team;
+  const spent = timeline.budget - timeline.currentFab;
+  const alive = history.filter(h => !h.chopped);
+  const avg = history.length ? history.reduce((sum, h) => sum + h.points, 0) / history.length : 0;
+  const closest = alive.slice().sort((a, b) => a.margin - b.margin)[0];
+
+  const lineup = assignStarters(league, roster.starters, playersAll);
+  const starterIds = new Set(lineup.map(s => s.playerId).filter(Boolean));
+  const bench = (roster.players || []).filter(id => !starterIds.has(id));
+
+  return el(
+    'div',
+    { class: 'card compare-team', style: `border-top:3px solid ${team.color}` },
+    el(
+      'div',
+      { class: 'compare-team-head' },
+      el(
+        'a',
+        {
+          class: 'team-link',
+          href: routeHref({ tab: 'teams', league: team.leagueId, roster: String(team.rosterId), week: null })
+        },
+        team.teamName
+      ),
+      el(
+        'button',
+        {
+          class: 'btn compare-remove',
+          type: 'button',
+          'aria-label': `Remove ${team.teamName}`,
+          onclick: () => setSelection(selection.filter(t => !(t.leagueId === team.leagueId && t.rosterId === team.rosterId)))
+        },
+        '×'
+      )
+    ),
+    el(
+      'div',
+      { class: 'muted' },
+      league.name || team.leagueId,
+      team.chopWeek !== null
+        ? el('span', { class: 'badge chopped-badge' }, team.chopWeek ? `Chopped week ${team.chopWeek}` : 'Chopped')
+        : ''
+    ),
+    el(
+      'div',
+      { class: 'compare-stats' },
+      statRow('FAB remaining', `${fmtFab(timeline.currentFab)} of ${fmtFab(timeline.budget)}`),
+      statRow('FAB spent', fmtFab(spent)),
+      statRow('Bids won', String(bids.length)),
+      statRow('Avg points', avg.toFixed(2)),
+      statRow('Closest call', closest ? `Wk ${closest.week}, +${closest.margin.toFixed(2)}` : '-')
+    ),
+    el('h4', {}, 'Starters'),
+    el(
+      'div',
+      { class: 'compare-lineup' },
+      ...lineup.map(slot =>
+        el(
+          'div',
+          { class: 'compare-slot' + (slot.empty ? ' empty-slot' : '') },
+          el('span', { class: 'slot-tag', style: `border-color:${positionColor(slot.slot)};color:${positionColor(slot.slot)}` }, slotLabel(slot.slot)),
+          slot.empty ? el('span', { class: 'muted' }, 'Empty') : playerLink(slot.playerId, getPlayerName(playersAll, slot.playerId))
+        )
+      )
+    ),
+    el('h4', {}, `Bench (${bench.length})`),
+    el(
+      'div',
+      { class: 'compare-bench' },
+      ...bench.map(id => el('div', {}, playerLink(id, getPlayerName(playersAll, id))))
+    ),
+    el('h4', {}, 'Bid history'),
+    bids.length
+      ? el(
+          'div',
+          { class: 'compare-bids' },
+          ...bids.map(b =>
+            el(
+              'div',
+              { class: 'compare-bid' },
+              el('span', { class: 'muted' }, `Wk ${b.week}`),
+              playerLink(b.playerId, getPlayerName(playersAll, b.playerId)),
+              el('span', { class: 'move-amount' }, fmtFab(b.bid))
+            )
+          )
+        )
+      : el('div', { class: 'muted' }, 'No winning bids.')
+  );
+}
+
+function buildPicker() {
+  const leagueConfigs = getLeagueConfigs();
+  const leagueSelect = el(
+    'select',
+    { class: 'text-input compare-select' },
+    ...leagueConfigs.map(cfg => {
+      const data = leagueData.get(cfg.id);
+      return el('option', { value: cfg.id }, (data && data.league.name) || cfg.label);
+    })
+  );
+  const teamSelect = el('select', { class: 'text-input compare-select' });
+
+  const fillTeams = () => {
+    const data = leagueData.get(leagueSelect.value);
+    const rosters = data ? data.rosters.slice() : [];
+    // Surviving teams first
+    rosters.sort(
+      (a, b) =>
+        Number(eliminatedWeek(a) !== null) - Number(eliminatedWeek(b) !== null)
+    );
+    teamSelect.replaceChildren(
+      ...rosters.map(r => {
+        const chopWeek = eliminatedWeek(r);
+        const chopped = chopWeek === null ? '' : chopWeek ? ` (chopped wk ${chopWeek})` : ' (chopped)';
+        return el(
+          'option',
+          { value: String(r.roster_id) },
+          teamNameFor(data.users, r) + chopped
+        );
+      })
+    );
+  };
+  leagueSelect.addEventListener('change', fillTeams);
+  fillTeams();
+
+  const add = e => {
+    e.preventDefault();
+    const team = { leagueId: leagueSelect.value, rosterId: Number(teamSelect.value) };
+    if (!teamSelect.value) return;
+    if (selection.some(t => t.leagueId === team.leagueId && t.rosterId === team.rosterId)) return;
+    setSelection([...selection, team]);
+  };
+
+  return el(
+    'form',
+    { class: 'form-row compare-picker', onsubmit: add },
+    leagueSelect,
+    teamSelect,
+    el('button', { class: 'btn', type: 'submit' }, 'Add team')
+  );
+}
+
+function renderComparison(container) {
+  const slot = container.querySelector('.compare-slot-body');
+  if (!slot) return;
+  const teams = selection.map(teamSummary).filter(Boolean);
+  if (teams.length < 2) {
+    slot.replaceChildren(
+      el('div', { class: 'muted compare-hint' }, 'Pick two or more teams to compare.'),
+      el('div', { class: 'compare-grid' }, ...teams.map(buildTeamColumn))
+    );
+    return;
+  }
+  slot.replaceChildren(
+    el(
+      'div',
+      { class: 'compare-charts' },
+      el('div', { class: 'card' }, el('h3', {}, 'Weekly points'), buildScoreChart(teams)),
+      el('div', { class: 'card' }, el('h3', {}, 'FAB remaining'), buildFABChart(teams))
+    ),
+    el(
+      'div',
+      { class: 'compare-grid', style: `grid-template-columns:repeat(${teams.length},minmax(240px,1fr))` },
+      ...teams.map(buildTeamColumn)
+    )
+  );
+}
+
+function setSelection(teams) {
+  selection = teams;
+  updateRoute({ compare: formatSelection(selection) });
+  renderComparison(document.getElementById('compare-content'));
+}
+
+/**
+ * Sets the compared teams from the URL, re-rendering if the tab has loaded
+ * @param {{compare?: string}} params - Route params
+ */
+export function applyCompareRoute(params) {
+  selection = parseSelection(params.compare);
+  if (leagueData) renderComparison(document.getElementById('compare-content'));
+}
+
+/**
+ * Loads every league's rosters, season matchups and transactions and renders
+ * the Compare tab
+ * @param {AbortSignal} [signal] - Aborted when the user leaves the tab mid-load
+ */
+export async function loadCompare(signal) {
+  const container = document.getElementById('compare-content');
+  container.replaceChildren(el('div', { class: 'loading' }, 'Loading teams...'));
+
+  const leagueConfigs = getLeagueConfigs();
+  try {
+    const [players, loaded] = await Promise.all([
+      getPlayers(),
+      Promise.all(
+        leagueConfigs.map(cfg =>
+          Promise.all([
+            getLeagueBundle(cfg.id, { signal }),
+            getSeasonMatchups(cfg.id, { signal }),
+            getTransactions(cfg.id, { signal })
+          ])
+        )
+      )
+    ]);
+
+    playersAll = players;
+    leagueData = new Map(
+      leagueConfigs.map((cfg, i) => {
+        const [bundle, matchups, transactions] = loaded[i];
+        return [
+          cfg.id,
+          { ...bundle, matchups, transactions, timelines: computeFABTimeline(cfg.id, transactions) }
+        ];
+      })
+    );
+
+    container.replaceChildren(buildPicker(), el('div', { class: 'compare-slot-body' }));
+    renderComparison(container);
+  } catch (err) {
+    // Left mid-load; the tab starts over on the next visit
+    if (isAbortError(err)) return;
+    container.replaceChildren(
+      el('div', { class: 'err' }, 'Failed to load teams: ' + err.message)
+    );
+  }
+}
@@ -1,19 +1,83 @@
 // js/constants.js
+// Default leagues. Once leagues are added/removed in the Leagues tab, the
+// saved list in localStorage (LEAGUES_STORAGE_KEY) is used instead.
 export const LEAGUE_IDS = [
   { id: '1262120211746656256', label: 'League A' },
   { id: '1262120355430928384', label: 'League B' }
 ];
+export const LEAGUES_STORAGE_KEY = 'chopped_leagues_v1';
 
 export const PLAYERS_TTL_DAYS = 10;
 export const PLAYERS_IDB_DB = 'chopped-idb';
 export const PLAYERS_IDB_STORE = 'kv';
 export const PLAYERS_IDB_KEY = 'players_nfl_v1';
+// v2 added WEEKS_IDB_STORE: completed weeks of transactions/matchups, keyed 'leagueId/kind/week'
+export const IDB_VERSION = 2;
+export const WEEKS_IDB_STORE = 'weeks';
 export const MAX_WEEKS = 18;
-// Note: CURRENT_WEEK is now dynamically detected and stored in state.currentWeek
 
+// Where Sleeper data comes from. Query params override these on page load:
+//   ?fixture=<name>  replay fixtures/<name>.json instead of calling Sleeper
+//   ?api=<url>       point at a local stand-in server that mirrors Sleeper's paths
+//                    (localhost or this site only; other hosts go in DATA_SOURCE.api)
+//   ?record=1        capture every response so the session can be saved as a fixture
+export const API_BASE_URL = 'https://api.sleeper.app/v1';
+export const FIXTURES_DIR = 'fixtures';
+export const DATA_SOURCE = { fixture: null, api: null, record: false };
+
+// Request scheduling for HTTP sources (see scheduler.js)
+export const REQUEST_CONCURRENCY = 6;
+export const REQUEST_TIMEOUT_MS = 15000;
+export const REQUEST_RETRIES = 3;
+export const REQUEST_BACKOFF_MS = 500;
+export const PLAYERS_TIMEOUT_MS = 60000; // the player directory is ~5MB
+// Note: the current week comes from /state/nfl and is stored in state.currentWeek (see season.js)
+
+// Live scoring (see liveScoring.js): how often the Teams tab re-fetches the
+// current week while games are on. 0 = off. The choice is saved per browser.
+export const LIVE_POLL_INTERVAL_MS = 60000;
+export const LIVE_POLL_OPTIONS_MS = [0, 30000, 60000, 120000, 300000];
+export const LIVE_STORAGE_KEY = 'chopped_live_interval_v1';
+// When NFL games can be in progress, US Eastern time: [weekday (0 = Sun), start hour, end hour)
+export const LIVE_GAME_WINDOWS_ET = [
+  [4, 20, 24], // Thursday night
+  [0, 9, 24], // Sunday, from the London games through Sunday night
+  [1, 0, 1], // Sunday night overtime
+  [1, 19, 24], // Monday night (doubleheaders start at 7pm)
+  [2, 0, 1], // Monday night overtime
+  [6, 13, 24] // Late-season Saturdays
+];
+
+// Chop Watch (Teams tab): teams within this many points of last place are
+// flagged as in danger. Editable in the Teams toolbar; saved per browser.
+export const CHOP_DANGER_MARGIN_PTS = 10;
+export const CHOP_DANGER_STORAGE_KEY = 'chopped_danger_margin_v1';
+
+// Stats Bidding Wars: claims on the same player processed within this long of
+// each other belong to the same waiver run
+export const WAIVER_RUN_WINDOW_MS = 60 * 60 * 1000;
+
+// Player positions and lineup slots (see rosterSlots.js). IDP sub-positions
+// share their group's color.
 export const POSITION_COLORS = {
   QB: '#ff2a6d',
   RB: '#00ceb8',
   WR: '#58a7ff',
-  TE: '#ffae58'
+  TE: '#ffae58',
+  K: '#b58cff',
+  DEF: '#8d99ae',
+  DL: '#e07a5f',
+  DE: '#e07a5f',
+  DT: '#e07a5f',
+  LB: '#f2cc8f',
+  DB: '#81b29a',
+  CB: '#81b29a',
+  S: '#81b29a',
+  FLEX: '#4fb0c6',
+  WRRB_FLEX: '#4fb0c6',
+  REC_FLEX: '#4fb0c6',
+  SUPER_FLEX: '#d65db1',
+  IDP_FLEX: '#c9a66b'
 };
+// Positions or slots Sleeper adds later
+export const POSITION_FALLBACK_COLOR = '#9bb3c9';
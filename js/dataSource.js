@@ -0,0 +1,180 @@
+// js/dataSource.js
+// Pluggable backend for the Sleeper client in api.js.
+//
+// api.js asks for Sleeper paths ('/league/123/rosters') and this module decides
+// where the response comes from:
+// - live:    the real Sleeper API (API_BASE_URL)
+// - local:   a stand-in server that mirrors Sleeper's paths (?api=<url>);
+//            from the URL only localhost or this page's own origin, so a
+//            shared link can't point the app at someone else's server.
+//            Other hosts go in DATA_SOURCE.api in constants.js
+// - fixture: a recorded session in fixtures/<name>.json (?fixture=<name>)
+//
+// HTTP sources go through the request scheduler (concurrency, timeouts,
+// retries, cancellation).
+//
+// With ?record=1 every response is also captured in memory, and
+// downloadRecording() saves them in the fixture format below, so a real
+// session can be frozen and replayed later.
+//
+// Fixture format:
+// {
+//   "version": 1,
+//   "recordedAt": 1700000000000,
+//   "source": "https://api.sleeper.app/v1",
+//   "responses": { "/league/123": {...}, "/league/123/transactions/1": [...] }
+// }
+
+import {
+  API_BASE_URL,
+  FIXTURES_DIR,
+  DATA_SOURCE
+} from './constants.js';
+import { downloadFile } from './dom.js';
+import { scheduledFetchJSON, throwIfAborted } from './scheduler.js';
+
+const FIXTURE_VERSION = 1;
+
+const config = resolveConfig();
+const recorded = new Map();
+let fixturePromise = null;
+
+const LOCAL_HOSTNAMES = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+/**
+ * Whether an ?api= URL may be used: localhost or the page's own origin
+ * @param {string} api
+ * @returns {boolean}
+ */
+function isAllowedApiParam(api) {
+  try {
+    const url = new URL(api, window.location.href);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return false;
+    return url.origin === window.location.origin || LOCAL_HOSTNAMES.has(url.hostname);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Merges DATA_SOURCE from constants.js with the page's query params
+ * @returns {{kind: string, baseUrl: string|null, fixture: string|null, record: boolean}}
+ */
+function resolveConfig() {
+  const params = new URLSearchParams(window.location.search);
+  const fixture = params.get('fixture') || DATA_SOURCE.fixture;
+  let apiParam = params.get('api');
+  if (apiParam && !isAllowedApiParam(apiParam)) {
+    console.warn(`Ignoring ?api=${apiParam}: only localhost or this site can be set from the URL`);
+    apiParam = null;
+  }
+  const api = apiParam || DATA_SOURCE.api;
+  const record = params.has('record')
+    ? params.get('record') !== '0'
+    : Boolean(DATA_SOURCE.record);
+
+  if (fixture) {
+    return { kind: 'fixture', baseUrl: null, fixture, record };
+  }
+  if (api) {
+    return {
+      kind: 'local',
+      baseUrl: api.replace(/\/+$/, ''),
+      fixture: null,
+      record
+    };
+  }
+  return { kind: 'live', baseUrl: API_BASE_URL, fixture: null, record };
+}
+
+function loadFixture() {
+  if (!/^[\w.-]+$/.test(config.fixture)) {
+    return Promise.reject(new Error(`Invalid fixture name: ${config.fixture}`));
+  }
+  if (!fixturePromise) {
+    const url = `${FIXTURES_DIR}/${config.fixture}.json`;
+    fixturePromise = fetch(url, { headers: { Accept: 'application/json' } })
+      .then(res => {
+        if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+        return res.json();
+      })
+      .then(bundle => {
+        if (!bundle || bundle.version !== FIXTURE_VERSION || !bundle.responses) {
+          throw new Error(`Unsupported fixture format in ${url}`);
+        }
+        return bundle;
+      });
+    // Let a later call retry if the fixture failed to load
+    fixturePromise.catch(() => {
+      fixturePromise = null;
+    });
+  }
+  return fixturePromise;
+}
+
+/**
+ * Fetches a Sleeper API path from the configured source
+ * Missing fixture entries fail like a 404 from the live API
+ * @param {string} path - Sleeper path beginning with '/', e.g. '/league/123'
+ * @param {Object} [options] - Passed to scheduledFetchJSON (signal, timeoutMs, retries)
+ * @returns {Promise<any>} Parsed JSON response
+ */
+export async function fetchJSON(path, options = {}) {
+  let data;
+  if (config.kind === 'fixture') {
+    const bundle = await loadFixture();
+    throwIfAborted(options.signal);
+    if (!Object.prototype.hasOwnProperty.call(bundle.responses, path)) {
+      const err = new Error(`HTTP 404 for fixture ${config.fixture}${path}`);
+      err.status = 404;
+      throw err;
+    }
+    // Hand out a copy - callers annotate responses (e.g. tx._week)
+    data = structuredClone(bundle.responses[path]);
+  } else {
+    data = await scheduledFetchJSON(config.baseUrl + path, options);
+  }
+
+  if (config.record) {
+    recorded.set(path, structuredClone(data));
+  }
+  return data;
+}
+
+/**
+ * Whether responses may be read from / written to the browser's IndexedDB cache.
+ * Fixtures and stand-in servers must not mix with cached live data, and a
+ * recording needs every response to actually pass through fetchJSON.
+ * @returns {boolean}
+ */
+export function usesBrowserCache() {
+  return config.kind === 'live' && !config.record;
+}
+
+/**
+ * Short human-readable description of a non-live source, for the footer
+ * @returns {string|null} null when reading the live Sleeper API
+ */
+export function describeDataSource() {
+  if (config.kind === 'fixture') return `Offline fixture: ${config.fixture}`;
+  if (config.kind === 'local') return `Local API: ${config.baseUrl}`;
+  return null;
+}
+
+export function isRecording() {
+  return config.record;
+}
+
+/**
+ * Saves every response captured so far as a fixture file
+ */
+export function downloadRecording() {
+  const bundle = {
+    version: FIXTURE_VERSION,
+    recordedAt: Date.now(),
+    source: config.baseUrl || `fixture:${config.fixture}`,
+    responses: Object.fromEntries(recorded)
+  };
+  const stamp = new Date(bundle.recordedAt).toISOString().slice(0, 10);
+  downloadFile(`sleeper-session-${stamp}.json`, JSON.stringify(bundle));
+}
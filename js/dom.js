@@ -14,6 +14,24 @@ export function el(tag, attrs = {}, ...kids) {
   return n;
 }
 
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// SVG elements need their namespace; attributes are set as given
+export function svgNode(tag, attrs = {}) {
+  const node = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([k, v]) => node.setAttribute(k, v));
+  return node;
+}
+
 export function fmtFab(x) {
   return `$${x.toLocaleString()}`;
 }
+
+export function downloadFile(filename, text, type = 'application/json') {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = el('a', { href: url, download: filename });
+  document.body.append(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,88 @@
+// js/exportData.js
+// CSV / JSON downloads of table data, for pulling stats into a spreadsheet.
+// Rows are plain objects of raw (unformatted) values; arrays become
+// semicolon-separated lists in CSV and stay arrays in JSON. CSV text that a
+// spreadsheet would read as a formula is prefixed with an apostrophe.
+
+import { el, downloadFile } from './dom.js';
+
+// Spreadsheets run text starting with these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value == null) return '';
+  let text = Array.isArray(value) ? value.join(';') : String(value);
+  // Names are user-controlled; numbers (negative ones too) stay as they are
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Column names in the order they first appear across the rows
+ * @param {Array<Object>} rows
+ * @returns {Array<string>}
+ */
+function fieldsOf(rows) {
+  const fields = [];
+  rows.forEach(row => {
+    Object.keys(row).forEach(key => {
+      if (!fields.includes(key)) fields.push(key);
+    });
+  });
+  return fields;
+}
+
+/**
+ * @param {Array<Object>} rows - Raw values
+ * @returns {string} CSV with a header row
+ */
+export function toCSV(rows) {
+  const fields = fieldsOf(rows);
+  return [fields, ...rows.map(row => fields.map(f => row[f]))]
+    .map(cells => cells.map(csvCell).join(','))
+    .join('\n');
+}
+
+/**
+ * Lower-case, dash-separated text for a file name
+ * @param {string} text
+ * @returns {string}
+ */
+export function fileSlug(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'export';
+}
+
+/**
+ * "CSV" and "JSON" download buttons
+ * @param {string} filename - Without extension
+ * @param {function(): Array<Object>} getRows - Called on click, so exports are current
+ * @returns {HTMLElement}
+ */
+export function buildExportButtons(filename, getRows) {
+  return el(
+    'div',
+    { class: 'export-buttons' },
+    el('span', { class: 'muted' }, 'Export'),
+    el(
+      'button',
+      {
+        class: 'link-btn',
+        type: 'button',
+        onclick: () => downloadFile(`${filename}.csv`, toCSV(getRows()), 'text/csv')
+      },
+      'CSV'
+    ),
+    el(
+      'button',
+      {
+        class: 'link-btn',
+        type: 'button',
+        onclick: () => downloadFile(`${filename}.json`, JSON.stringify(getRows(), null, 2))
+      },
+      'JSON'
+    )
+  );
+}
@@ -10,10 +10,16 @@
 // - Team avatars at line endpoints with jitter to prevent overlap
 // - Graying out of eliminated teams at their elimination week
 
-import { LEAGUE_IDS, MAX_WEEKS } from './constants.js';
+import { MAX_WEEKS } from './constants.js';
 import { cache, state } from './cache.js';
-import { api } from './api.js';
-import { el } from './dom.js';
+import { getLeagueBundle, getTransactions, eliminatedWeek } from './leagueData.js';
+import { el, fmtFab } from './dom.js';
+import { weekStartMs, WEEK_MS } from './season.js';
+import { getLeagueConfigs } from './leagueConfig.js';
+import { isAbortError } from './scheduler.js';
+import { updateRoute } from './router.js';
+import { buildExportButtons } from './exportData.js';
+import { getTeamName } from './names.js';
 
 // === CONFIGURATION ===
 
@@ -21,8 +27,15 @@ import { el } from './dom.js';
 // Default: 15 seconds to replay entire season
 export const REPLAY_DURATION_MS = 15000;
 
+const SCALES = ['dollars', 'percent'];
+const TEAM_STATUSES = ['all', 'remaining', 'chopped'];
+
+// Y-axis top when no visible league reports a waiver budget
+const DEFAULT_MAX_FAB = 1000;
+
 // Color palette for team lines - 15 colors to support up to 15 teams per league
-const CHART_COLORS = [
+// (also used by the Compare tab)
+export const CHART_COLORS = [
   '#FF6B6B', '#4ECDC4', '#45B7D1', '#FFA07A', '#98D8C8',
   '#F7DC6F', '#BB8FCE', '#85C1E2', '#F8B739', '#52B788',
   '#E63946', '#A8DADC', '#457B9D', '#F1FAEE', '#E76F51'
@@ -31,8 +44,13 @@ const CHART_COLORS = [
 // === STATE MANAGEMENT ===
 // Module-level state variables that persist across renders
 
-// Current league filter: 'both', or specific league ID
-let currentFilter = 'both';
+// Current league filter: IDs of the leagues to plot (empty = all leagues)
+let currentLeagueFilter = new Set();
+
+// Y-axis scale: 'dollars' or 'percent' (of each league's waiver budget)
+// null = automatic: defaultScale, which is percent if league budgets differ
+let currentScale = null;
+let defaultScale = 'dollars';
 
 // Current team status filter: 'all', 'remaining', or 'chopped'
 let currentTeamStatusFilter = 'all';
@@ -50,74 +68,16 @@ let hoveredTeamIndex = null;
 // Data storage
 let baseTimelines = [];  // All team timelines from all leagues (source of truth)
 
-// Chart bounds - calculated once from baseTimelines and used for all renders
-let staticMaxFab = 1000;  // FAB always starts at 1000 in these leagues
+// Chart bounds - static through an animation, recalculated when filters change
+let staticMaxFab = DEFAULT_MAX_FAB;  // Largest budget in view, or 100 in percent mode
 let staticMaxWeek = 0;    // Calculated from actual transaction data
 
 // Stable color mapping: Maps "leagueId-rosterId" -> color
 // This ensures each team keeps the same color when filters change
 let teamColorMap = new Map();
 
-// === DATA FETCHING ===
-
-/**
- * Fetches all transactions for a league across all weeks up to current week
- * Uses cache if available, otherwise fetches from Sleeper API
- * @param {string} leagueId - Sleeper league ID
- * @returns {Promise<Array>} Array of transaction objects with _week property added
- */
-async function fetchLeagueTransactions(leagueId) {
-  // Return cached data if available
-  if (cache.transactions.has(leagueId)) {
-    return cache.transactions.get(leagueId);
-  }
-  
-  // Only fetch transactions up to the current week
-  const maxWeekToFetch = state.currentWeek || MAX_WEEKS;
-  
-  const all = [];
-  for (let wk = 1; wk <= maxWeekToFetch; wk++) {
-    try {
-      const arr = await api.transactions(leagueId, wk);
-      if (Array.isArray(arr) && arr.length) {
-        arr.forEach(tx => {
-          tx._week = wk;  // Add week number to each transaction
-          all.push(tx);
-        });
-      }
-    } catch (e) {
-      // Silently ignore errors for individual weeks (may not have data yet)
-    }
-  }
-  
-  // Cache the results
-  cache.transactions.set(leagueId, all);
-  return all;
-}
-
 // === TEAM DATA HELPERS ===
 
-/**
- * Gets the display name for a team
- * Looks up roster by ID, then finds the owning user
- * @param {string} leagueId - Sleeper league ID
- * @param {number} rosterId - Roster ID within the league
- * @returns {string} Team name (from metadata), display name, username, or 'Unknown'
- */
-function getTeamName(leagueId, rosterId) {
-  const rosters = cache.rosters.get(leagueId) || [];
-  const roster = rosters.find(r => Number(r.roster_id) === Number(rosterId));
-  if (!roster) return 'Unknown';
-  
-  const users = cache.users.get(leagueId) || [];
-  const user = users.find(u => u.user_id === roster.owner_id);
-  if (!user) return 'Unknown';
-  
-  // Prefer custom team name from metadata, fall back to display name or username
-  return (user.metadata && (user.metadata.team_name || user.metadata.team_name_full)) ||
-         user.display_name || user.username || 'Unknown';
-}
-
 /**
  * Gets the avatar URL for a team's owner
  * @param {string} leagueId - Sleeper league ID
@@ -146,12 +106,23 @@ function getTeamInitials(leagueId, rosterId) {
   return name.split(/\s+/).slice(0, 2).map(s => s[0]).join('').toUpperCase();
 }
 
-function computeFABTimeline(leagueId) {
+// A league's starting FAB per team (settings.waiver_budget)
+function budgetOf(league) {
+  return Number((league && league.settings && league.settings.waiver_budget) || 0);
+}
+
+/**
+ * Builds each team's FAB-remaining timeline from the league's winning waiver bids
+ * League, rosters and users must already be loaded into the cache
+ * @param {string} leagueId - Sleeper league ID
+ * @param {Array} transactions - League transactions with `_week` (from leagueData.getTransactions)
+ * @returns {Array<Object>} One timeline object per roster (see ARCHITECTURE.md)
+ */
+export function computeFABTimeline(leagueId, transactions) {
   const league = cache.leagues.get(leagueId);
   const rosters = cache.rosters.get(leagueId) || [];
-  const transactions = cache.transactions.get(leagueId) || [];
   
-  const waiverCap = Number((league.settings && league.settings.waiver_budget) || 0);
+  const waiverCap = budgetOf(league);
   
   // Initialize timeline for each roster using official FAB state
   const timelines = {};
@@ -159,6 +130,7 @@ function computeFABTimeline(leagueId) {
     const rosterId = Number(r.roster_id);
     const usedFab = Number((r.settings && r.settings.waiver_budget_used) || 0);
     const currentFab = waiverCap - usedFab;
+    const chopWeek = eliminatedWeek(r);
     
     timelines[rosterId] = {
       rosterId,
@@ -166,10 +138,11 @@ function computeFABTimeline(leagueId) {
       teamName: getTeamName(leagueId, rosterId),
       avatar: getTeamAvatar(leagueId, rosterId),
       initials: getTeamInitials(leagueId, rosterId),
-      isEliminated: r.settings && Object.prototype.hasOwnProperty.call(r.settings, 'eliminated'),
-      eliminatedWeek: null,
+      isEliminated: chopWeek !== null,
+      eliminatedWeek: chopWeek || null,
       currentFab,
-      points: [{ week: 0, weekProgress: 0, fab: waiverCap, timestamp: 0 }]
+      budget: waiverCap,
+      points: [{ week: 0, weekProgress: 0, fab: waiverCap, timestamp: 0, bid: 0, playerIds: [] }]
     };
   });
   
@@ -195,47 +168,75 @@ function computeFABTimeline(leagueId) {
     const newFab = lastPoint.fab - bid;
     
     // Calculate week progress (0-1) based on timestamp within the week
-    // Week boundaries are approximate (Wednesday to Wednesday)
-    const weekStartMs = 1694649600000 + (week - 1) * 7 * 24 * 60 * 60 * 1000; // Approx start of season
-    const weekDurationMs = 7 * 24 * 60 * 60 * 1000;
-    const weekProgress = Math.max(0, Math.min(1, (timestamp - weekStartMs) / weekDurationMs));
+    // Weeks run Wednesday to Wednesday, anchored on the league's season kickoff
+    const weekStart = weekStartMs(week, league.season);
+    const weekProgress = Math.max(0, Math.min(1, (timestamp - weekStart) / WEEK_MS));
     
     timeline.points.push({ 
       week, 
       weekProgress, 
       fab: newFab,
-      timestamp
+      timestamp,
+      bid,
+      playerIds: Object.keys(tx.adds || {})
     });
   });
   
-  // Fill in eliminated week
-  Object.values(timelines).forEach(timeline => {
-    if (timeline.isEliminated) {
-      const rosters = cache.rosters.get(leagueId) || [];
-      const roster = rosters.find(r => Number(r.roster_id) === timeline.rosterId);
-      if (roster && roster.settings && roster.settings.eliminated) {
-        timeline.eliminatedWeek = roster.settings.eliminated;
-      }
+  return Object.values(timelines);
+}
+
+function buildLeagueFilterControl(onFilterChange) {
+  const container = el('div', { class: 'segmented-control multi-select' });
+  const leagueConfigs = getLeagueConfigs();
+  
+  // Nothing to filter with a single league
+  if (leagueConfigs.length < 2) return null;
+  
+  const allBtn = el('button', {
+    class: 'segment-btn' + (currentLeagueFilter.size === 0 ? ' active' : ''),
+    onclick: () => {
+      currentLeagueFilter.clear();
+      onFilterChange();
     }
+  }, 'All Leagues');
+  container.append(allBtn);
+  
+  // Each league toggles independently; selecting every league is the same as "All"
+  leagueConfigs.forEach(cfg => {
+    const btn = el('button', {
+      class: 'segment-btn' + (currentLeagueFilter.has(cfg.id) ? ' active' : ''),
+      onclick: () => {
+        if (currentLeagueFilter.has(cfg.id)) {
+          currentLeagueFilter.delete(cfg.id);
+        } else {
+          currentLeagueFilter.add(cfg.id);
+        }
+        if (currentLeagueFilter.size === leagueConfigs.length) {
+          currentLeagueFilter.clear();
+        }
+        onFilterChange();
+      }
+    }, cache.leagues.get(cfg.id)?.name || cfg.label);
+    btn.dataset.value = cfg.id;
+    container.append(btn);
   });
   
-  return Object.values(timelines);
+  return container;
 }
 
-function buildLeagueSegmentedControl(onFilterChange) {
+function buildScaleSegmentedControl(onFilterChange) {
   const container = el('div', { class: 'segmented-control' });
   
   const options = [
-    { value: 'both', label: 'Both' },
-    { value: LEAGUE_IDS[0].id, label: cache.leagues.get(LEAGUE_IDS[0].id)?.name || LEAGUE_IDS[0].label },
-    { value: LEAGUE_IDS[1].id, label: cache.leagues.get(LEAGUE_IDS[1].id)?.name || LEAGUE_IDS[1].label }
+    { value: 'dollars', label: '$ Remaining' },
+    { value: 'percent', label: '% of Budget' }
   ];
   
   options.forEach(opt => {
     const btn = el('button', {
-      class: 'segment-btn' + (opt.value === currentFilter ? ' active' : ''),
+      class: 'segment-btn' + (opt.value === activeScale() ? ' active' : ''),
       onclick: () => {
-        currentFilter = opt.value;
+        currentScale = opt.value;
         container.querySelectorAll('.segment-btn').forEach(b => b.classList.remove('active'));
         btn.classList.add('active');
         onFilterChange(opt.value);
@@ -274,6 +275,54 @@ function buildTeamStatusSegmentedControl(onFilterChange) {
   return container;
 }
 
+/**
+ * Replay button plus the filter controls; every filter change re-renders the chart
+ * @param {HTMLElement} container - FAB Spending content element
+ * @param {HTMLElement} replayBtn - Replay/Pause/Resume button for the current state
+ * @returns {HTMLElement}
+ */
+function buildChartControls(container, replayBtn) {
+  const onFilterChange = () => {
+    recordFiltersInRoute();
+    applyFiltersAndRerender(container);
+  };
+  const controls = el('div', { class: 'chart-controls' }, replayBtn);
+  const leagueFilter = buildLeagueFilterControl(onFilterChange);
+  if (leagueFilter) controls.append(leagueFilter);
+  controls.append(
+    buildScaleSegmentedControl(onFilterChange),
+    buildTeamStatusSegmentedControl(onFilterChange),
+    buildExportButtons('fab-timeline', () => timelineExportRows(baseTimelines))
+  );
+  return controls;
+}
+
+/**
+ * One row per timeline point for the leagues and teams in view, always in
+ * dollars whatever the chart's scale
+ * @param {Array<Object>} all - Every team's timeline
+ * @returns {Array<Object>}
+ */
+function timelineExportRows(all) {
+  return timelinesInView(all || []).flatMap(t => {
+    const league = cache.leagues.get(t.leagueId);
+    return t.points.map(p => ({
+      leagueId: t.leagueId,
+      league: (league && league.name) || t.leagueId,
+      rosterId: t.rosterId,
+      team: t.teamName,
+      week: p.week,
+      weekProgress: p.weekProgress,
+      timestamp: p.timestamp,
+      bid: p.bid,
+      playerIds: p.playerIds,
+      fab: p.fab,
+      budget: t.budget,
+      eliminatedWeek: t.eliminatedWeek
+    }));
+  });
+}
+
 // Helper to create smooth Bezier curves through points
 function createSmoothPath(points, xScale, yScale) {
   if (points.length === 0) return '';
@@ -305,7 +354,8 @@ function createSmoothPath(points, xScale, yScale) {
       
       // For large FAB drops in short time, create a smoother S-curve transition
       // Control point tension: smaller for bigger drops (smoother curve)
-      const tension = Math.max(0.3, Math.min(0.6, 1 - (fabDrop / 200)));
+      // Drops are measured against the axis, so dollars and percent curve alike
+      const tension = Math.max(0.3, Math.min(0.6, 1 - (fabDrop / (staticMaxFab * 0.2))));
       
       const cp1x = prevX + (x - prevX) * tension;
       const cp1y = prevY + (y - prevY) * 0.1; // Slight vertical movement
@@ -339,7 +389,7 @@ function renderChart(timelines, animationProgress = 1.0) {
   const chartWidth = width - marginLeft - marginRight;
   const chartHeight = height - marginTop - marginBottom;
   
-  // Use static max values calculated from baseTimelines (not filtered timelines)
+  // Use static max values (set by the league filter, not by the animation)
   const maxFab = staticMaxFab;
   const maxWeek = staticMaxWeek;
   
@@ -382,7 +432,7 @@ function renderChart(timelines, animationProgress = 1.0) {
     text.setAttribute('text-anchor', 'end');
     text.setAttribute('font-size', '12');
     text.setAttribute('fill', '#666');
-    text.textContent = `$${Math.round(fab)}`;
+    text.textContent = formatAxisValue(fab);
     gridGroup.appendChild(text);
   }
   
@@ -430,7 +480,7 @@ function renderChart(timelines, animationProgress = 1.0) {
   yLabel.setAttribute('font-weight', 'bold');
   yLabel.setAttribute('fill', '#333');
   yLabel.setAttribute('transform', `rotate(-90)`);
-  yLabel.textContent = 'FAB Remaining';
+  yLabel.textContent = activeScale() === 'percent' ? 'FAB Remaining (% of budget)' : 'FAB Remaining';
   svg.appendChild(yLabel);
   
   // Sort timelines by current FAB (descending) for z-order
@@ -646,6 +696,7 @@ function renderChart(timelines, animationProgress = 1.0) {
     path.dataset.teamIndex = index;
     path.dataset.teamName = timeline.teamName;
     path.dataset.fab = Math.round(timeline.currentFab);
+    path.dataset.budget = timeline.budget;
     path.dataset.isEliminated = timeline.isEliminated;
     path.style.cursor = 'pointer';
     
@@ -691,7 +742,8 @@ function renderChart(timelines, animationProgress = 1.0) {
     const avatarGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
     avatarGroup.dataset.teamIndex = index;
     avatarGroup.dataset.teamName = timeline.teamName;
-    avatarGroup.dataset.fab = Math.round(fab);
+    avatarGroup.dataset.fab = timeline.scale ? Math.round(fab / timeline.scale) : 0;
+    avatarGroup.dataset.budget = timeline.budget;
     avatarGroup.dataset.isEliminated = isGrayedOut;
     avatarGroup.style.cursor = 'pointer';
     
@@ -767,13 +819,13 @@ function renderChart(timelines, animationProgress = 1.0) {
   svg.insertBefore(defs, svg.firstChild);
   
   // Add hover event listeners (tooltip will be managed at container level)
-  svg.querySelectorAll('[data-team-index]').forEach(el => {
-    el.addEventListener('mouseenter', (e) => {
-      const teamIndex = Number(el.dataset.teamIndex);
+  svg.querySelectorAll('[data-team-index]').forEach(node => {
+    node.addEventListener('mouseenter', (e) => {
+      const teamIndex = Number(node.dataset.teamIndex);
       hoveredTeamIndex = teamIndex;
       
       // Move this avatar group to the end (highest z-order)
-      const avatarGroup = el;
+      const avatarGroup = node;
       avatarGroup.parentNode.appendChild(avatarGroup);
       
       // Get or create tooltip in the chart container (survives SVG replacements)
@@ -788,15 +840,18 @@ function renderChart(timelines, animationProgress = 1.0) {
       }
       
       // Show tooltip
-      const teamName = el.dataset.teamName;
-      const fab = el.dataset.fab;
-      const isEliminated = el.dataset.isEliminated === 'true';
+      const teamName = node.dataset.teamName;
+      const fab = Number(node.dataset.fab);
+      const budget = Number(node.dataset.budget);
+      const isEliminated = node.dataset.isEliminated === 'true';
       
       const statusText = isEliminated ? 'FAB at Elimination' : 'Current FAB';
-      tooltip.innerHTML = `
-        <div class="tooltip-team">${teamName}</div>
-        <div class="tooltip-fab">${statusText}: $${Number(fab).toLocaleString()}</div>
-      `;
+      const pctText = budget > 0 ? ` (${Math.round((fab / budget) * 100)}%)` : '';
+      // Team names are user-set, so text nodes rather than markup
+      tooltip.replaceChildren(
+        el('div', { class: 'tooltip-team' }, teamName),
+        el('div', { class: 'tooltip-fab' }, `${statusText}: ${fmtFab(fab)} of ${fmtFab(budget)}${pctText}`)
+      );
       tooltip.style.display = 'block';
       
       // If not animating, re-render to show hover effects
@@ -853,29 +908,73 @@ function renderChart(timelines, animationProgress = 1.0) {
   return svg;
 }
 
+function activeScale() {
+  return currentScale || defaultScale;
+}
+
+function formatAxisValue(value) {
+  return activeScale() === 'percent' ? `${Math.round(value)}%` : `$${Math.round(value)}`;
+}
+
+function timelinesInSelectedLeagues(all) {
+  if (currentLeagueFilter.size === 0) return all;
+  return all.filter(t => currentLeagueFilter.has(t.leagueId));
+}
+
+/**
+ * Puts a timeline on the current y-axis scale. `scale` converts plotted
+ * values back to dollars (fab / scale) for tooltips.
+ */
+function scaleTimeline(timeline) {
+  if (activeScale() !== 'percent') return { ...timeline, scale: 1 };
+  const scale = timeline.budget > 0 ? 100 / timeline.budget : 0;
+  return {
+    ...timeline,
+    scale,
+    points: timeline.points.map(p => ({ ...p, fab: p.fab * scale }))
+  };
+}
+
+/**
+ * Y-axis top: 100% in percent mode, otherwise the largest waiver budget
+ * among the selected leagues so a $100 league isn't squashed by a $1000 one
+ */
+function updateChartBounds(all) {
+  if (activeScale() === 'percent') {
+    staticMaxFab = 100;
+    return;
+  }
+  const budgets = timelinesInSelectedLeagues(all).map(t => t.budget);
+  staticMaxFab = Math.max(0, ...budgets) || DEFAULT_MAX_FAB;
+}
+
+// Timelines passing the league and team status filters, unscaled
+function timelinesInView(all) {
+  const arr = timelinesInSelectedLeagues(all);
+  if (currentTeamStatusFilter === 'remaining') {
+    return arr.filter(t => !t.isEliminated);
+  }
+  if (currentTeamStatusFilter === 'chopped') {
+    return arr.filter(t => t.isEliminated);
+  }
+  return arr;
+}
+
 function filterTimelinesForView(all) {
   if (!all || all.length === 0) {
     return [];
   }
   
-  let arr = all;
-  // League filter
-  if (currentFilter !== 'both') {
-    arr = arr.filter(t => t.leagueId === currentFilter);
-  }
-  // Team status filter
-  if (currentTeamStatusFilter === 'remaining') {
-    arr = arr.filter(t => !t.isEliminated);
-  } else if (currentTeamStatusFilter === 'chopped') {
-    arr = arr.filter(t => t.isEliminated);
-  }
+  updateChartBounds(all);
+  
+  let arr = timelinesInView(all);
   // Sort by current FAB (descending, use last point)
   arr = arr.slice().sort((a, b) => {
     const aFab = a.points[a.points.length - 1].fab;
     const bFab = b.points[b.points.length - 1].fab;
     return bFab - aFab;
   });
-  return arr;
+  return arr.map(scaleTimeline);
 }
 
 function applyFiltersAndRerender(container) {
@@ -887,11 +986,7 @@ function applyFiltersAndRerender(container) {
   } else if (isPaused) {
     const chart = renderChart(filtered, currentAnimationProgress);
     const replayBtn = el('button', { class: 'btn replay-btn', onclick: () => resumeReplay(container, currentAnimationProgress) }, '▶ Resume');
-    const controls = el('div', { class: 'chart-controls' },
-      replayBtn,
-      buildLeagueSegmentedControl(() => applyFiltersAndRerender(container)),
-      buildTeamStatusSegmentedControl(() => applyFiltersAndRerender(container))
-    );
+    const controls = buildChartControls(container, replayBtn);
     const chartContainer = el('div', { class: 'chart-container' });
     chartContainer.appendChild(chart);
     container.replaceChildren(controls, chartContainer);
@@ -899,28 +994,33 @@ function applyFiltersAndRerender(container) {
     // static state
     const chart = renderChart(filtered, 1.0);
     const replayBtn = el('button', { class: 'btn replay-btn', onclick: () => startReplay(container) }, '▶ Replay');
-    const controls = el('div', { class: 'chart-controls' },
-      replayBtn,
-      buildLeagueSegmentedControl(() => applyFiltersAndRerender(container)),
-      buildTeamStatusSegmentedControl(() => applyFiltersAndRerender(container))
-    );
+    const controls = buildChartControls(container, replayBtn);
     const chartContainer = el('div', { class: 'chart-container' });
     chartContainer.appendChild(chart);
     container.replaceChildren(controls, chartContainer);
   }
 }
 
-async function renderFABSpendingView(container, filter) {
+async function renderFABSpendingView(container, signal) {
   container.replaceChildren(el('div', { class: 'loading' }, 'Loading FAB data...'));
   
   try {
-    // Fetch all data
+    // Fetch all leagues in parallel, then build timelines in league order
+    const leagueConfigs = getLeagueConfigs();
+    const transactionsByLeague = await Promise.all(
+      leagueConfigs.map(async leagueCfg => {
+        const [, transactions] = await Promise.all([
+          getLeagueBundle(leagueCfg.id, { signal }),
+          getTransactions(leagueCfg.id, { signal })
+        ]);
+        return transactions;
+      })
+    );
     baseTimelines = [];
-    for (const leagueCfg of LEAGUE_IDS) {
-      await fetchLeagueTransactions(leagueCfg.id);
-      const timelines = computeFABTimeline(leagueCfg.id);
+    leagueConfigs.forEach((leagueCfg, i) => {
+      const timelines = computeFABTimeline(leagueCfg.id, transactionsByLeague[i]);
       baseTimelines.push(...timelines);
-    }
+    });
 
     // Assign stable colors to each team based on their unique identifier
     teamColorMap.clear();
@@ -932,8 +1032,11 @@ async function renderFABSpendingView(container, filter) {
     // Use current week as staticMaxWeek (not derived from transaction data)
     staticMaxWeek = state.currentWeek || MAX_WEEKS;
 
-    // Initialize filters and state
-    currentFilter = filter || currentFilter;
+    // Initialize filters and state (drop leagues that have been removed)
+    const configuredIds = new Set(leagueConfigs.map(cfg => cfg.id));
+    currentLeagueFilter = new Set([...currentLeagueFilter].filter(id => configuredIds.has(id)));
+    const budgets = new Set(leagueConfigs.map(cfg => budgetOf(cache.leagues.get(cfg.id))));
+    defaultScale = budgets.size > 1 ? 'percent' : 'dollars';
     isAnimating = false;
     isPaused = false;
     pausedProgress = 0;
@@ -946,17 +1049,15 @@ async function renderFABSpendingView(container, filter) {
 
     const replayBtn = el('button', { class: 'btn replay-btn', onclick: () => startReplay(container) }, '▶ Replay');
 
-    const controls = el('div', { class: 'chart-controls' },
-      replayBtn,
-      buildLeagueSegmentedControl(() => applyFiltersAndRerender(container)),
-      buildTeamStatusSegmentedControl(() => applyFiltersAndRerender(container))
-    );
+    const controls = buildChartControls(container, replayBtn);
 
     const chartContainer = el('div', { class: 'chart-container' });
     chartContainer.appendChild(chart);
 
     container.replaceChildren(controls, chartContainer);
   } catch (err) {
+    // Left mid-load; the tab starts over on the next visit
+    if (isAbortError(err)) return;
     container.replaceChildren(
       el('div', { class: 'err' }, 'Failed to load FAB data: ' + err.message)
     );
@@ -991,11 +1092,7 @@ function resumeReplay(container, startProgress) {
     onclick: () => pauseReplay(container, currentAnimationProgress)
   }, '⏸ Pause');
   
-  const controls = el('div', { class: 'chart-controls' },
-    replayBtn,
-    buildLeagueSegmentedControl(() => applyFiltersAndRerender(container)),
-    buildTeamStatusSegmentedControl(() => applyFiltersAndRerender(container))
-  );
+  const controls = buildChartControls(container, replayBtn);
   
   const chartContainer = el('div', { class: 'chart-container' });
   
@@ -1061,7 +1158,43 @@ function startReplay(container) {
   resumeReplay(container, 0);
 }
 
-export async function loadFABSpending() {
+// Filters replace the history entry rather than adding one per click
+function recordFiltersInRoute() {
+  updateRoute(
+    {
+      leagues: [...currentLeagueFilter].join(','),
+      scale: currentScale,
+      status: currentTeamStatusFilter === 'all' ? null : currentTeamStatusFilter
+    },
+    { replace: true }
+  );
+}
+
+/**
+ * Sets the chart filters from the URL, re-rendering the chart if it is shown
+ * @param {{leagues?: string, scale?: string, status?: string}} params - Route params
+ */
+export function applyFABRoute(params) {
+  const configuredIds = new Set(getLeagueConfigs().map(cfg => cfg.id));
+  currentLeagueFilter = new Set(
+    (params.leagues || '').split(',').filter(id => configuredIds.has(id))
+  );
+  if (currentLeagueFilter.size === configuredIds.size) currentLeagueFilter.clear();
+  currentScale = SCALES.includes(params.scale) ? params.scale : null;
+  currentTeamStatusFilter = TEAM_STATUSES.includes(params.status) ? params.status : 'all';
+
+  // Not loaded yet (or mid-load): the load picks up the new filters
+  const container = document.getElementById('fab-spending-content');
+  if (baseTimelines.length > 0 && container.querySelector('.chart-controls')) {
+    applyFiltersAndRerender(container);
+  }
+}
+
+/**
+ * Loads transactions for every league and renders the FAB Spending tab
+ * @param {AbortSignal} [signal] - Aborted when the user leaves the tab mid-load
+ */
+export async function loadFABSpending(signal) {
   const container = document.getElementById('fab-spending-content');
-  await renderFABSpendingView(container, currentFilter);
+  await renderFABSpendingView(container, signal);
 }
@@ -0,0 +1,80 @@
+// js/leagueConfig.js
+// The list of leagues the site shows.
+//
+// Starts from LEAGUE_IDS in constants.js; once the user edits it in the
+// Leagues tab the list is saved to localStorage and used from then on.
+// Views read it with getLeagueConfigs() and re-render on onLeagueConfigsChange().
+
+import { LEAGUE_IDS, LEAGUES_STORAGE_KEY } from './constants.js';
+
+let leagueConfigs = loadLeagueConfigs();
+const listeners = [];
+
+function loadLeagueConfigs() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LEAGUES_STORAGE_KEY));
+    if (Array.isArray(saved)) {
+      return saved.filter(cfg => cfg && typeof cfg.id === 'string');
+    }
+  } catch (e) {
+    // corrupt or unavailable storage - use the defaults
+  }
+  return LEAGUE_IDS.map(cfg => ({ ...cfg }));
+}
+
+function saveLeagueConfigs() {
+  try {
+    localStorage.setItem(LEAGUES_STORAGE_KEY, JSON.stringify(leagueConfigs));
+  } catch (e) {
+    console.warn('Could not save league list:', e);
+  }
+  listeners.forEach(fn => fn(getLeagueConfigs()));
+}
+
+/**
+ * @returns {Array<{id: string, label: string}>} Configured leagues, in display order
+ */
+export function getLeagueConfigs() {
+  return leagueConfigs.map(cfg => ({ ...cfg }));
+}
+
+/**
+ * Adds a league to the end of the list
+ * @param {string} id - Sleeper league ID
+ * @param {string} [label] - Fallback name until the league itself has loaded
+ * @returns {boolean} False if the league was already configured
+ */
+export function addLeagueConfig(id, label) {
+  if (leagueConfigs.some(cfg => cfg.id === id)) return false;
+  leagueConfigs.push({ id, label: label || `League ${leagueConfigs.length + 1}` });
+  saveLeagueConfigs();
+  return true;
+}
+
+export function removeLeagueConfig(id) {
+  const next = leagueConfigs.filter(cfg => cfg.id !== id);
+  if (next.length === leagueConfigs.length) return;
+  leagueConfigs = next;
+  saveLeagueConfigs();
+}
+
+/**
+ * Registers a callback for when leagues are added or removed
+ * @param {function(Array): void} fn - Receives the new league list
+ */
+export function onLeagueConfigsChange(fn) {
+  listeners.push(fn);
+}
+
+/**
+ * Extracts a Sleeper league ID from a raw ID or a pasted league URL
+ * (e.g. https://sleeper.com/leagues/1262120211746656256/team)
+ * @param {string} input - User input
+ * @returns {string|null} The league ID, or null if none was found
+ */
+export function parseLeagueId(input) {
+  const text = String(input || '').trim();
+  if (/^\d{6,}$/.test(text)) return text;
+  const match = text.match(/\/leagues?\/(\d{6,})/);
+  return match ? match[1] : null;
+}
@@ -0,0 +1,317 @@
+// js/leagueData.js
+// Shared league data repository.
+//
+// Every view reads leagues, rosters, users, transactions, matchups and the
+// player directory through this module instead of calling api.js directly:
+// - Results are kept in the `cache` Maps (transactions/matchups per week)
+// - Concurrent requests for the same resource share one in-flight request
+// - Week ranges are decided here, so every tab sees the same data:
+//   transactions for weeks 1..current week, season matchups for completed
+//   weeks, each by the league's own current week (state.leagueWeeks)
+
+import { MAX_WEEKS } from './constants.js';
+import { cache, state } from './cache.js';
+import { api, fetchWeeks } from './api.js';
+import { abortError } from './scheduler.js';
+
+// requestKey -> { promise, controller, waiters }
+const inflight = new Map();
+
+/**
+ * Runs `load` once per key while it is in flight; later callers share the result.
+ * The shared request is only aborted once every caller that passed a signal
+ * has aborted, so one tab leaving doesn't cancel data another tab still needs.
+ * @param {string} key - Identifies the resource
+ * @param {function(AbortSignal): Promise} load - Performs the request
+ * @param {AbortSignal} [signal] - The caller's cancellation signal
+ * @returns {Promise<any>}
+ */
+function coalesce(key, load, signal) {
+  if (signal && signal.aborted) return Promise.reject(abortError());
+
+  let entry = inflight.get(key);
+  if (!entry) {
+    const controller = new AbortController();
+    entry = { controller, waiters: 0, promise: null };
+    entry.promise = load(controller.signal);
+    const settled = () => {
+      if (inflight.get(key) === entry) inflight.delete(key);
+    };
+    entry.promise.then(settled, settled);
+    inflight.set(key, entry);
+  }
+
+  const shared = entry;
+  shared.waiters++;
+  if (!signal) return shared.promise;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      shared.waiters--;
+      if (shared.waiters === 0) {
+        shared.controller.abort();
+        if (inflight.get(key) === shared) inflight.delete(key);
+      }
+      reject(abortError());
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+    shared.promise.then(
+      value => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      err => {
+        signal.removeEventListener('abort', onAbort);
+        reject(err);
+      }
+    );
+  });
+}
+
+/**
+ * Returns map.get(key) if present, otherwise loads it (coalesced) and stores it
+ */
+function cachedOrLoad(map, key, requestKey, load, signal) {
+  if (map.has(key)) return Promise.resolve(map.get(key));
+  return coalesce(
+    requestKey,
+    async sharedSignal => {
+      const value = await load(sharedSignal);
+      map.set(key, value);
+      return value;
+    },
+    signal
+  );
+}
+
+function weekMap(map, leagueId) {
+  if (!map.has(leagueId)) map.set(leagueId, new Map());
+  return map.get(leagueId);
+}
+
+// A week Sleeper has no data for yet can come back as 404 or null
+async function loadWeek(fetchWeek) {
+  try {
+    const arr = await fetchWeek();
+    return Array.isArray(arr) ? arr : [];
+  } catch (e) {
+    if (e.status === 404) return [];
+    throw e;
+  }
+}
+
+/**
+ * Week a roster was chopped, or null if it is still alive. An `eliminated`
+ * flag without a usable week counts as chopped before week 1.
+ * @param {Object} roster - Roster object
+ * @returns {number|null}
+ */
+export function eliminatedWeek(roster) {
+  if (!roster.settings || !Object.prototype.hasOwnProperty.call(roster.settings, 'eliminated')) {
+    return null;
+  }
+  return Number(roster.settings.eliminated) || 0;
+}
+
+/**
+ * Still in the league during `week` (teams chopped that week played it)
+ * @param {Object} roster - Roster object
+ * @param {number} week
+ * @returns {boolean}
+ */
+export function isAliveInWeek(roster, week) {
+  const chopWeek = eliminatedWeek(roster);
+  return chopWeek === null || chopWeek >= week;
+}
+
+/**
+ * A league's current week: its own from state.leagueWeeks, or the NFL's
+ * @param {string} [leagueId] - Sleeper league ID
+ * @returns {number|null}
+ */
+function currentWeekOf(leagueId) {
+  return (leagueId && state.leagueWeeks.get(leagueId)) || state.currentWeek;
+}
+
+/**
+ * Last week that can have transactions (the current week)
+ * @param {string} [leagueId] - Sleeper league ID; the NFL week without one
+ * @returns {number}
+ */
+export function lastTransactionWeek(leagueId) {
+  return Math.min(currentWeekOf(leagueId) || MAX_WEEKS, MAX_WEEKS);
+}
+
+/**
+ * Last fully completed scoring week (the week before the current one)
+ * @param {string} [leagueId] - Sleeper league ID; the NFL week without one
+ * @returns {number}
+ */
+export function lastCompletedWeek(leagueId) {
+  const current = currentWeekOf(leagueId);
+  return current ? current - 1 : MAX_WEEKS;
+}
+
+export function getLeague(leagueId, { signal } = {}) {
+  return cachedOrLoad(
+    cache.leagues,
+    leagueId,
+    `league:${leagueId}`,
+    s => api.league(leagueId, { signal: s }),
+    signal
+  );
+}
+
+export function getRosters(leagueId, { signal } = {}) {
+  return cachedOrLoad(
+    cache.rosters,
+    leagueId,
+    `rosters:${leagueId}`,
+    s => api.rosters(leagueId, { signal: s }),
+    signal
+  );
+}
+
+export function getUsers(leagueId, { signal } = {}) {
+  return cachedOrLoad(
+    cache.users,
+    leagueId,
+    `users:${leagueId}`,
+    s => api.leagueUsers(leagueId, { signal: s }),
+    signal
+  );
+}
+
+/**
+ * NFL player directory (IndexedDB-cached by api.js); one download at a time
+ * @returns {Promise<Object>} player_id -> player
+ */
+export function getPlayers() {
+  if (cache.playersAll) return Promise.resolve(cache.playersAll);
+  return coalesce('players', () => api.playersAllNFL());
+}
+
+/**
+ * Loads league, rosters and users together
+ * @returns {Promise<{league: Object, rosters: Array, users: Array}>}
+ */
+export async function getLeagueBundle(leagueId, options = {}) {
+  const [league, rosters, users] = await Promise.all([
+    getLeague(leagueId, options),
+    getRosters(leagueId, options),
+    getUsers(leagueId, options)
+  ]);
+  return { league, rosters, users };
+}
+
+/**
+ * One week of transactions, each annotated with `_week`
+ * @returns {Promise<Array>}
+ */
+export function getWeekTransactions(leagueId, week, { signal } = {}) {
+  return cachedOrLoad(
+    weekMap(cache.transactions, leagueId),
+    week,
+    `transactions:${leagueId}:${week}`,
+    async s => {
+      const arr = await loadWeek(() =>
+        api.transactions(leagueId, week, { signal: s })
+      );
+      arr.forEach(tx => {
+        tx._week = week;
+      });
+      return arr;
+    },
+    signal
+  );
+}
+
+async function loadWeekMatchups(leagueId, week, signal) {
+  const arr = await loadWeek(() => api.matchups(leagueId, week, { signal }));
+  arr.forEach(m => {
+    m._week = week;
+  });
+  return arr;
+}
+
+/**
+ * One week of matchups, each annotated with `_week`
+ * @returns {Promise<Array>}
+ */
+export function getWeekMatchups(leagueId, week, { signal } = {}) {
+  return cachedOrLoad(
+    weekMap(cache.matchups, leagueId),
+    week,
+    `matchups:${leagueId}:${week}`,
+    s => loadWeekMatchups(leagueId, week, s),
+    signal
+  );
+}
+
+/**
+ * Re-fetches a week's matchups (live scoring) and replaces the cached copy
+ * @returns {Promise<Array>} Matchups with `_week`
+ */
+export function refreshWeekMatchups(leagueId, week, { signal } = {}) {
+  return coalesce(
+    `matchups-refresh:${leagueId}:${week}`,
+    async s => {
+      const arr = await loadWeekMatchups(leagueId, week, s);
+      weekMap(cache.matchups, leagueId).set(week, arr);
+      return arr;
+    },
+    signal
+  );
+}
+
+/**
+ * Re-fetches rosters (live scoring: lineup and FAB changes) into the cache
+ * @returns {Promise<Array>}
+ */
+export function refreshRosters(leagueId, { signal } = {}) {
+  return coalesce(
+    `rosters-refresh:${leagueId}`,
+    async s => {
+      const rosters = await api.rosters(leagueId, { signal: s });
+      cache.rosters.set(leagueId, rosters);
+      return rosters;
+    },
+    signal
+  );
+}
+
+/**
+ * Every transaction in weeks 1..throughWeek, in week order
+ * @param {string} leagueId - Sleeper league ID
+ * @param {Object} [options]
+ * @param {number} [options.throughWeek] - Defaults to lastTransactionWeek(leagueId)
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Array>} Transactions with `_week`
+ */
+export async function getTransactions(
+  leagueId,
+  { throughWeek = lastTransactionWeek(leagueId), signal } = {}
+) {
+  const weeks = await fetchWeeks(throughWeek, wk =>
+    getWeekTransactions(leagueId, wk, { signal })
+  );
+  return weeks.flat();
+}
+
+/**
+ * Matchups for weeks 1..throughWeek, in week order
+ * @param {string} leagueId - Sleeper league ID
+ * @param {Object} [options]
+ * @param {number} [options.throughWeek] - Defaults to lastCompletedWeek(leagueId)
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Array>} Matchups with `_week`
+ */
+export async function getSeasonMatchups(
+  leagueId,
+  { throughWeek = lastCompletedWeek(leagueId), signal } = {}
+) {
+  const weeks = await fetchWeeks(throughWeek, wk =>
+    getWeekMatchups(leagueId, wk, { signal })
+  );
+  return weeks.flat();
+}
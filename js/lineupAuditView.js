@@ -0,0 +1,215 @@
+// js/lineupAuditView.js
+// Lineups tab: checks every surviving team's current starters for the things
+// that get a team chopped by neglect - empty slots, players on bye, injured or
+// inactive players, and bench players who are outscoring a starter they could
+// have replaced. Results are grouped by league; each team links to its detail
+// view in the Teams tab.
+
+import { state } from './cache.js';
+import { getLeagueBundle, getWeekMatchups, getPlayers, isAliveInWeek } from './leagueData.js';
+import { el } from './dom.js';
+import { getPlayerName, teamNameFor } from './names.js';
+import { getLeagueConfigs } from './leagueConfig.js';
+import { isAbortError } from './scheduler.js';
+import { routeHref } from './router.js';
+import { assignStarters, isEligible, slotLabel } from './rosterSlots.js';
+
+// Injury statuses that still usually play; anything else means a zero
+const MINOR_INJURY_STATUSES = new Set(['Questionable']);
+
+/**
+ * Problems with one roster's current lineup
+ * @param {Object} league - League object (for roster_positions)
+ * @param {Object} roster - Roster object
+ * @param {Object} matchup - This week's matchup, for points so far (may be undefined)
+ * @param {Object} playersAll - Player directory
+ * @param {number} week - Current week, for byes
+ * @returns {Array<{kind: string, severity: 'bad'|'warn', text: string}>}
+ */
+export function auditLineup(league, roster, matchup, playersAll, week) {
+  const issues = [];
+  const lineup = assignStarters(league, roster.starters, playersAll);
+  const points = (matchup && matchup.players_points) || {};
+  const name = id => getPlayerName(playersAll, id);
+
+  lineup.forEach(slot => {
+    if (slot.empty) {
+      issues.push({ kind: 'empty', severity: 'bad', text: `Empty ${slotLabel(slot.slot)} slot` });
+      return;
+    }
+    const p = slot.player;
+    if (!p) return;
+    if (!slot.eligible) {
+      issues.push({
+        kind: 'ineligible',
+        severity: 'bad',
+        text: `${name(slot.playerId)} (${p.position}) can't play ${slotLabel(slot.slot)}`
+      });
+    }
+    if (p.bye_week && Number(p.bye_week) === week) {
+      issues.push({ kind: 'bye', severity: 'bad', text: `${name(slot.playerId)} is on bye` });
+    }
+    if (p.injury_status) {
+      issues.push({
+        kind: 'injury',
+        severity: MINOR_INJURY_STATUSES.has(p.injury_status) ? 'warn' : 'bad',
+        text: `${name(slot.playerId)} is ${p.injury_status}`
+      });
+    }
+  });
+
+  // Bench players who could have filled a starter's slot and scored more.
+  // IR and taxi players can't be started; each bench player is suggested
+  // once, biggest gain first.
+  const unavailable = new Set([
+    ...lineup.map(s => s.playerId).filter(Boolean),
+    ...(roster.reserve || []),
+    ...(roster.taxi || [])
+  ]);
+  const bench = (roster.players || []).filter(id => !unavailable.has(id));
+  const swaps = [];
+  lineup.forEach((slot, index) => {
+    if (slot.empty) return;
+    const starterPts = points[slot.playerId] || 0;
+    bench.forEach(id => {
+      const gain = (points[id] || 0) - starterPts;
+      if (gain > 0 && isEligible(slot.slot, playersAll[id])) swaps.push({ index, id, gain });
+    });
+  });
+  const suggested = new Map(); // lineup index -> bench player ID
+  const usedBench = new Set();
+  swaps
+    .sort((a, b) => b.gain - a.gain)
+    .forEach(({ index, id }) => {
+      if (suggested.has(index) || usedBench.has(id)) return;
+      suggested.set(index, id);
+      usedBench.add(id);
+    });
+  [...suggested.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .forEach(([index, id]) => {
+      const slot = lineup[index];
+      issues.push({
+        kind: 'bench',
+        severity: 'warn',
+        text: `Bench ${name(id)} (${points[id].toFixed(2)}) outscored ${name(slot.playerId)} (${(points[slot.playerId] || 0).toFixed(2)}) at ${slotLabel(slot.slot)}`
+      });
+    });
+
+  return issues;
+}
+
+function buildTeamAudit(leagueId, roster, teamName, issues) {
+  const bad = issues.filter(i => i.severity === 'bad').length;
+  return el(
+    'div',
+    { class: 'audit-team' + (bad ? ' bad' : '') },
+    el(
+      'div',
+      { class: 'audit-team-head' },
+      el(
+        'a',
+        {
+          class: 'team-link',
+          href: routeHref({ tab: 'teams', league: leagueId, roster: String(roster.roster_id), week: null })
+        },
+        teamName
+      ),
+      el('span', { class: 'badge' }, `${issues.length} issue${issues.length === 1 ? '' : 's'}`)
+    ),
+    el(
+      'ul',
+      { class: 'audit-issues' },
+      ...issues.map(issue =>
+        el('li', { class: `audit-issue ${issue.severity} audit-${issue.kind}` }, issue.text)
+      )
+    )
+  );
+}
+
+function buildLeagueAudit(leagueId, bundle, matchups, playersAll, week) {
+  const { league, rosters, users } = bundle;
+  const matchupsByRoster = new Map(matchups.map(m => [m.roster_id, m]));
+  const results = rosters
+    .filter(r => isAliveInWeek(r, week))
+    .map(roster => ({
+      roster,
+      teamName: teamNameFor(users, roster),
+      issues: auditLineup(league, roster, matchupsByRoster.get(roster.roster_id), playersAll, week)
+    }));
+  const flagged = results
+    .filter(r => r.issues.length)
+    .sort(
+      (a, b) =>
+        b.issues.filter(i => i.severity === 'bad').length -
+          a.issues.filter(i => i.severity === 'bad').length ||
+        b.issues.length - a.issues.length
+    );
+  const clear = results.filter(r => !r.issues.length);
+
+  return el(
+    'div',
+    { class: 'card audit-league' },
+    el('h3', {}, league.name || leagueId),
+    el(
+      'div',
+      { class: 'audit-summary muted' },
+      flagged.length
+        ? `${flagged.length} of ${results.length} active teams need attention`
+        : `All ${results.length} active teams look set`
+    ),
+    ...flagged.map(r => buildTeamAudit(leagueId, r.roster, r.teamName, r.issues)),
+    clear.length
+      ? el('div', { class: 'audit-clear muted' }, `All set: ${clear.map(r => r.teamName).join(', ')}`)
+      : ''
+  );
+}
+
+/**
+ * Loads rosters and this week's matchups for every league and renders the Lineups tab
+ * @param {AbortSignal} [signal] - Aborted when the user leaves the tab mid-load
+ */
+export async function loadLineupAudit(signal) {
+  const container = document.getElementById('lineups-content');
+  container.replaceChildren(el('div', { class: 'loading' }, 'Checking lineups...'));
+
+  const leagueConfigs = getLeagueConfigs();
+  if (leagueConfigs.length === 0) {
+    container.replaceChildren(
+      el('div', { class: 'empty' }, 'No leagues configured. Add one in the Leagues tab.')
+    );
+    return;
+  }
+
+  const week = state.currentWeek;
+  try {
+    const [playersAll, loaded] = await Promise.all([
+      getPlayers(),
+      Promise.all(
+        leagueConfigs.map(cfg =>
+          Promise.all([
+            getLeagueBundle(cfg.id, { signal }),
+            getWeekMatchups(cfg.id, week, { signal })
+          ])
+        )
+      )
+    ]);
+
+    container.replaceChildren(
+      el(
+        'div',
+        { class: 'audit-note muted' },
+        `Week ${week} lineups. Bench comparisons use points scored so far this week.`
+      ),
+      ...leagueConfigs.map((cfg, i) =>
+        buildLeagueAudit(cfg.id, loaded[i][0], loaded[i][1], playersAll, week)
+      )
+    );
+  } catch (err) {
+    // Left mid-load; the tab starts over on the next visit
+    if (isAbortError(err)) return;
+    container.replaceChildren(
+      el('div', { class: 'err' }, 'Failed to check lineups: ' + err.message)
+    );
+  }
+}
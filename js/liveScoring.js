@@ -0,0 +1,186 @@
+// js/liveScoring.js
+// Live mode for the Teams tab: while NFL games are being played, re-fetch the
+// current week's matchups and rosters on an interval and let the Teams view
+// patch the new points in place.
+//
+// Polling only happens when live mode is on, the Teams tab is showing, the
+// page is visible, the season is in progress and the Eastern-time clock is
+// inside one of LIVE_GAME_WINDOWS_ET.
+
+import {
+  LIVE_POLL_INTERVAL_MS,
+  LIVE_POLL_OPTIONS_MS,
+  LIVE_STORAGE_KEY,
+  LIVE_GAME_WINDOWS_ET
+} from './constants.js';
+import { state } from './cache.js';
+import { refreshWeekMatchups, refreshRosters } from './leagueData.js';
+import { getLeagueConfigs } from './leagueConfig.js';
+import { el } from './dom.js';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const easternClock = new Intl.DateTimeFormat('en-US', {
+  timeZone: 'America/New_York',
+  weekday: 'short',
+  hour: 'numeric',
+  hourCycle: 'h23'
+});
+
+let intervalMs = loadInterval();
+let timer = null;
+let polling = false;
+let onUpdate = () => {};
+let statusEl = null;
+let controlEl = null;
+
+function loadInterval() {
+  try {
+    const saved = localStorage.getItem(LIVE_STORAGE_KEY);
+    if (saved !== null && LIVE_POLL_OPTIONS_MS.includes(Number(saved))) {
+      return Number(saved);
+    }
+  } catch (e) {
+    // storage unavailable - use the default
+  }
+  return LIVE_POLL_INTERVAL_MS;
+}
+
+function saveInterval() {
+  try {
+    localStorage.setItem(LIVE_STORAGE_KEY, String(intervalMs));
+  } catch (e) {
+    console.warn('Could not save live scoring interval:', e);
+  }
+}
+
+/**
+ * True if the time falls in an NFL game window (US Eastern time)
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isGameWindow(now = new Date()) {
+  const parts = easternClock.formatToParts(now);
+  const day = WEEKDAYS.indexOf(parts.find(p => p.type === 'weekday').value);
+  const hour = Number(parts.find(p => p.type === 'hour').value);
+  return LIVE_GAME_WINDOWS_ET.some(
+    ([windowDay, start, end]) => day === windowDay && hour >= start && hour < end
+  );
+}
+
+// Pre-season and off-season weeks have nothing to score
+function isSeasonLive() {
+  return !state.seasonType || state.seasonType === 'regular' || state.seasonType === 'post';
+}
+
+function setStatus(text) {
+  if (statusEl) statusEl.textContent = text;
+}
+
+function intervalLabel(ms) {
+  if (ms === 0) return 'Off';
+  return ms < 60000 ? `${ms / 1000}s` : `${ms / 60000} min`;
+}
+
+async function poll() {
+  polling = true;
+  const week = state.currentWeek;
+  const leagueIds = getLeagueConfigs().map(cfg => cfg.id);
+  try {
+    const results = await Promise.allSettled(
+      leagueIds.map(id =>
+        Promise.all([refreshWeekMatchups(id, week), refreshRosters(id)])
+      )
+    );
+    const failed = results.filter(r => r.status === 'rejected');
+    failed.forEach(r => console.warn('Live scoring refresh failed:', r.reason));
+    onUpdate();
+    const time = new Date().toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    setStatus(
+      failed.length
+        ? `Updated ${time} (${failed.length} league${failed.length === 1 ? '' : 's'} failed)`
+        : `Updated ${time}`
+    );
+  } finally {
+    polling = false;
+  }
+}
+
+function gamesOn() {
+  return isSeasonLive() && isGameWindow();
+}
+
+function tick() {
+  timer = null;
+  if (controlEl) controlEl.classList.toggle('is-live', gamesOn());
+  if (!gamesOn()) {
+    setStatus('No games on');
+  } else if (state.activePrimaryTab === 'teams' && !document.hidden && !polling) {
+    poll();
+  }
+  timer = setTimeout(tick, intervalMs);
+}
+
+/**
+ * (Re)starts the polling loop for the current interval
+ * @param {boolean} [now] - Refresh immediately instead of after one interval
+ */
+function restart(now = false) {
+  if (timer) clearTimeout(timer);
+  timer = null;
+  if (intervalMs === 0) {
+    setStatus('');
+    if (controlEl) controlEl.classList.remove('is-live');
+  } else if (now) {
+    tick();
+  } else {
+    timer = setTimeout(tick, intervalMs);
+  }
+}
+
+/**
+ * Adds the live scoring control to the Teams toolbar and starts polling
+ * @param {HTMLElement} toolbar - Element to append the control to
+ * @param {function(): void} update - Called after each refresh to re-render points
+ */
+export function setupLiveScoring(toolbar, update) {
+  onUpdate = update;
+
+  const select = el(
+    'select',
+    {
+      class: 'text-input live-select',
+      onchange: () => {
+        intervalMs = Number(select.value);
+        saveInterval();
+        // Turning it on during games should show fresh points right away
+        restart(true);
+      }
+    },
+    ...LIVE_POLL_OPTIONS_MS.map(ms => el('option', { value: String(ms) }, intervalLabel(ms)))
+  );
+  select.value = String(intervalMs);
+  statusEl = el('span', { class: 'live-status muted' });
+
+  controlEl = el(
+    'label',
+    { class: 'live-control' },
+    el('span', { class: 'live-dot', 'aria-hidden': 'true' }),
+    el('span', { class: 'muted' }, 'Live'),
+    select,
+    statusEl
+  );
+  toolbar.append(controlEl);
+
+  // Catch up as soon as the page is looked at again
+  document.addEventListener('visibilitychange', () => {
+    if (!document.hidden) restart(true);
+  });
+
+  // Points were just loaded by the Teams tab, so the first refresh waits an interval
+  if (intervalMs > 0) {
+    setStatus(gamesOn() ? 'On' : 'No games on');
+    controlEl.classList.toggle('is-live', gamesOn());
+  }
+  restart();
+}
@@ -1,20 +1,90 @@
 // js/main.js
 import {
   setupLeagueTabs,
+  setupTeamsToolbar,
   initLeagues,
-  updateResponsiveLayout
+  reloadLeagues,
+  updateResponsiveLayout,
+  applyTeamsRoute,
+  updateLivePoints
 } from './teamsView.js';
+import { setupLiveScoring } from './liveScoring.js';
+import { applyFABRoute } from './fabSpendingView.js';
+import { resetStatsTableViews } from './statsView.js';
+import { applyPlayerSearchRoute } from './playerSearchView.js';
+import { applyCompareRoute } from './compareView.js';
 import { setPrimaryTab } from './tabs.js';
-import { clearPlayersCache } from './api.js';
+import { onRouteChange, startRouter } from './router.js';
+import { clearCachedData } from './api.js';
+import { loadSeasonState, loadLeagueWeeks } from './season.js';
+import { getLeagueConfigs, onLeagueConfigsChange } from './leagueConfig.js';
+import { state } from './cache.js';
+import {
+  describeDataSource,
+  isRecording,
+  downloadRecording
+} from './dataSource.js';
+import { el } from './dom.js';
+
+// Shows the state a URL describes (page load, back/forward, edited hash).
+// Filters first, so a tab that lazy-loads now loads with them.
+function applyRoute({ tab, params }) {
+  applyTeamsRoute(params);
+  applyFABRoute(params);
+  applyPlayerSearchRoute(params);
+  applyCompareRoute(params);
+  setPrimaryTab(tab);
+}
 
-// Expose to window ONLY IF your HTML still has inline handlers.
-// After we remove inline handlers, only setPrimaryTab MUST remain.
-window.setPrimaryTab = setPrimaryTab;
+function setupPrimaryTabs() {
+  document.querySelectorAll('.primary-tab').forEach(btn => {
+    btn.addEventListener('click', () => setPrimaryTab(btn.dataset.tab));
+  });
+}
+
+// Footer notice when the app is not reading the live Sleeper API,
+// plus the save button while a session is being recorded
+function setupDataSourceFooter() {
+  const footer = document.querySelector('.footer');
+  if (!footer) return;
+
+  const source = describeDataSource();
+  if (source) {
+    footer.append(el('div', { class: 'data-source' }, source));
+  }
+  if (isRecording()) {
+    footer.append(
+      el(
+        'div',
+        {},
+        el(
+          'button',
+          { class: 'link-btn', onclick: downloadRecording },
+          'Download recorded session'
+        )
+      )
+    );
+  }
+}
 
 async function initApp() {
+  setupDataSourceFooter();
+  setupPrimaryTabs();
+
   // Set up league tabs
   setupLeagueTabs();
 
+  // Current week decides which matchups and transactions to load
+  const [firstLeague] = getLeagueConfigs();
+  await loadSeasonState(firstLeague && firstLeague.id);
+  await loadLeagueWeeks(getLeagueConfigs().map(cfg => cfg.id));
+  setupTeamsToolbar();
+  setupLiveScoring(document.getElementById('teams-toolbar'), updateLivePoints);
+
+  // Restore the view in the URL; Teams columns apply it as they load
+  onRouteChange(applyRoute);
+  startRouter();
+
   // Load leagues
   await initLeagues();
 
@@ -22,10 +92,24 @@ async function initApp() {
   updateResponsiveLayout();
   window.addEventListener('resize', updateResponsiveLayout);
 
-  // Attach event listener to Refresh Player Directory button
-  const refreshBtn = document.getElementById('refresh-player-dir');
+  // Leagues added/removed in the Leagues tab: rebuild Teams now,
+  // reload the other data tabs on their next visit
+  onLeagueConfigsChange(async () => {
+    // Added leagues may be from another season
+    await loadLeagueWeeks(getLeagueConfigs().map(cfg => cfg.id));
+    state.statsLoaded = false;
+    resetStatsTableViews();
+    state.fabSpendingLoaded = false;
+    state.lineupsLoaded = false;
+    state.playerSearchLoaded = false;
+    state.compareLoaded = false;
+    reloadLeagues();
+  });
+
+  // Attach event listener to Refresh Cached Data button
+  const refreshBtn = document.getElementById('refresh-cached-data');
   if (refreshBtn) {
-    refreshBtn.addEventListener('click', clearPlayersCache);
+    refreshBtn.addEventListener('click', clearCachedData);
   }
 }
 
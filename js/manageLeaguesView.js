@@ -0,0 +1,232 @@
+// js/manageLeaguesView.js
+// Leagues tab: add and remove the leagues shown across the site.
+// Leagues can be added by ID, by pasting a Sleeper league URL, or by looking
+// up a Sleeper username and picking from that user's leagues for a season.
+
+import { cache, state } from './cache.js';
+import { api } from './api.js';
+import { getLeague } from './leagueData.js';
+import { el } from './dom.js';
+import {
+  getLeagueConfigs,
+  addLeagueConfig,
+  removeLeagueConfig,
+  parseLeagueId
+} from './leagueConfig.js';
+
+// Sleeper has league data from 2017 onwards; offer the last few seasons
+const SEASONS_TO_OFFER = 4;
+
+function sectionCard(title, ...kids) {
+  return el('div', { class: 'card manage-card' }, el('h3', {}, title), ...kids);
+}
+
+function statusLine() {
+  return el('div', { class: 'manage-status muted' });
+}
+
+function setStatus(node, text, isError = false) {
+  node.textContent = text;
+  node.classList.toggle('manage-error', isError);
+}
+
+function buildConfiguredList(onChange) {
+  const configs = getLeagueConfigs();
+  const list = el('div', { class: 'list' });
+
+  configs.forEach(cfg => {
+    const league = cache.leagues.get(cfg.id);
+    list.append(
+      el(
+        'div',
+        { class: 'manage-row' },
+        el(
+          'div',
+          {},
+          el('div', { class: 'title' }, league ? league.name : cfg.label),
+          el('div', { class: 'meta' }, cfg.id)
+        ),
+        el(
+          'button',
+          {
+            class: 'btn',
+            onclick: () => {
+              removeLeagueConfig(cfg.id);
+              onChange();
+            }
+          },
+          'Remove'
+        )
+      )
+    );
+  });
+
+  if (configs.length === 0) {
+    list.append(el('div', { class: 'empty' }, 'No leagues yet. Add one below.'));
+  }
+  return list;
+}
+
+function buildAddByIdForm(onChange) {
+  const input = el('input', {
+    class: 'text-input',
+    type: 'text',
+    placeholder: 'League ID or Sleeper league URL'
+  });
+  const status = statusLine();
+
+  const submit = async e => {
+    e.preventDefault();
+    const id = parseLeagueId(input.value);
+    if (!id) {
+      setStatus(status, 'That doesn\'t look like a Sleeper league ID or URL.', true);
+      return;
+    }
+    setStatus(status, 'Looking up league...');
+    try {
+      const league = await getLeague(id);
+      if (!addLeagueConfig(id, league.name)) {
+        setStatus(status, `${league.name} is already in your list.`, true);
+        return;
+      }
+      input.value = '';
+      setStatus(status, `Added ${league.name}.`);
+      onChange();
+    } catch (err) {
+      setStatus(status, `Could not load league ${id}. ${err.message}`, true);
+    }
+  };
+
+  return el(
+    'form',
+    { class: 'manage-form', onsubmit: submit },
+    el(
+      'div',
+      { class: 'form-row' },
+      input,
+      el('button', { class: 'btn', type: 'submit' }, 'Add')
+    ),
+    status
+  );
+}
+
+function seasonOptions() {
+  const latest = Number(state.season) || new Date().getFullYear();
+  const seasons = [];
+  for (let i = 0; i < SEASONS_TO_OFFER; i++) seasons.push(String(latest - i));
+  return seasons;
+}
+
+function buildUserLookupForm(onChange) {
+  const input = el('input', {
+    class: 'text-input',
+    type: 'text',
+    placeholder: 'Sleeper username'
+  });
+  const seasonSelect = el(
+    'select',
+    { class: 'text-input season-select' },
+    ...seasonOptions().map(season => el('option', { value: season }, season))
+  );
+  const status = statusLine();
+  const results = el('div', { class: 'list' });
+  let lastLeagues = [];
+
+  const renderResults = leagues => {
+    lastLeagues = leagues;
+    const configured = new Set(getLeagueConfigs().map(cfg => cfg.id));
+    results.replaceChildren(
+      ...leagues.map(league =>
+        el(
+          'div',
+          { class: 'manage-row' },
+          el(
+            'div',
+            {},
+            el('div', { class: 'title' }, league.name || league.league_id),
+            el(
+              'div',
+              { class: 'meta' },
+              `${league.total_rosters || '?'} teams • ${league.league_id}`
+            )
+          ),
+          configured.has(league.league_id)
+            ? el('span', { class: 'badge' }, 'Added')
+            : el(
+                'button',
+                {
+                  class: 'btn',
+                  onclick: () => {
+                    addLeagueConfig(league.league_id, league.name);
+                    renderResults(lastLeagues);
+                    onChange();
+                  }
+                },
+                'Add'
+              )
+        )
+      )
+    );
+  };
+
+  const submit = async e => {
+    e.preventDefault();
+    const username = input.value.trim();
+    if (!username) return;
+    const season = seasonSelect.value;
+    setStatus(status, `Looking up ${username}...`);
+    results.replaceChildren();
+    try {
+      const user = await api.user(username);
+      if (!user || !user.user_id) {
+        setStatus(status, `No Sleeper user named ${username}.`, true);
+        return;
+      }
+      const leagues = (await api.userLeagues(user.user_id, season)) || [];
+      setStatus(
+        status,
+        leagues.length
+          ? `${user.display_name || username}'s ${season} leagues:`
+          : `${user.display_name || username} has no ${season} leagues.`
+      );
+      renderResults(leagues);
+    } catch (err) {
+      setStatus(status, `Lookup failed. ${err.message}`, true);
+    }
+  };
+
+  return el(
+    'form',
+    { class: 'manage-form', onsubmit: submit },
+    el(
+      'div',
+      { class: 'form-row' },
+      input,
+      seasonSelect,
+      el('button', { class: 'btn', type: 'submit' }, 'Find leagues')
+    ),
+    status,
+    results
+  );
+}
+
+/**
+ * Renders the Leagues tab. Cheap, so it re-renders on every visit.
+ */
+export function loadManageLeagues() {
+  const container = document.getElementById('leagues-content');
+  const listCard = sectionCard('Your leagues');
+  const refreshList = () => {
+    listCard.replaceChildren(
+      el('h3', {}, 'Your leagues'),
+      buildConfiguredList(refreshList)
+    );
+  };
+  refreshList();
+
+  container.replaceChildren(
+    listCard,
+    sectionCard('Add by ID or URL', buildAddByIdForm(refreshList)),
+    sectionCard('Find a user\'s leagues', buildUserLookupForm(refreshList))
+  );
+}
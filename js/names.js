@@ -0,0 +1,52 @@
+// js/names.js
+// Display names shared by every view, so a player or team reads the same on
+// every tab.
+
+import { cache } from './cache.js';
+
+/**
+ * A player's display name from the player directory
+ * @param {Object} playersAll - Player directory keyed by Sleeper player ID
+ * @param {string} playerId - Sleeper player ID
+ * @returns {string} Full name, or `Player <id>` if unknown
+ */
+export function getPlayerName(playersAll, playerId) {
+  const p = playersAll && playersAll[playerId];
+  if (!p) return `Player ${playerId}`;
+  if (p.full_name) return p.full_name;
+  if (p.first_name && p.last_name) {
+    return `${p.first_name} ${p.last_name}`;
+  }
+  return p.first_name || p.last_name || `Player ${playerId}`;
+}
+
+/**
+ * A team's display name: the owner's team name, else their display name or
+ * username
+ * @param {Array} users - League users
+ * @param {Object} roster - Roster object
+ * @returns {string} Name, or `Team <roster_id>` if the owner is unknown
+ */
+export function teamNameFor(users, roster) {
+  const user = (users || []).find(u => u.user_id === roster.owner_id);
+  if (!user) return `Team ${roster.roster_id}`;
+  return (
+    (user.metadata && (user.metadata.team_name || user.metadata.team_name_full)) ||
+    user.display_name ||
+    user.username ||
+    `Team ${roster.roster_id}`
+  );
+}
+
+/**
+ * teamNameFor() for a roster ID, from the league's cached rosters and users
+ * @param {string} leagueId - Sleeper league ID
+ * @param {number} rosterId - Roster ID within the league
+ * @returns {string}
+ */
+export function getTeamName(leagueId, rosterId) {
+  const rosters = cache.rosters.get(leagueId) || [];
+  const roster = rosters.find(r => Number(r.roster_id) === Number(rosterId));
+  if (!roster) return `Team ${rosterId}`;
+  return teamNameFor(cache.users.get(leagueId), roster);
+}
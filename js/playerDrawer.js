@@ -0,0 +1,262 @@
+// js/playerDrawer.js
+// Slide-out drawer with one player's details: NFL team, position, bye and
+// status, weekly points in each configured league, and the player's full
+// transaction trail (adds, bids, drops, trades, chops) per league.
+//
+// Any view can make a player name clickable with playerLink(); the drawer is
+// created on first use and shared by every tab.
+
+import {
+  getLeagueBundle,
+  getSeasonMatchups,
+  getTransactions,
+  getPlayers,
+  lastTransactionWeek
+} from './leagueData.js';
+import { el, fmtFab } from './dom.js';
+import { getPlayerName, teamNameFor } from './names.js';
+import { getLeagueConfigs } from './leagueConfig.js';
+import { positionColor } from './rosterSlots.js';
+
+let drawerEl = null;
+let backdropEl = null;
+// Player currently shown, so a slow load for a previous player is dropped
+let shownPlayerId = null;
+
+/**
+ * Every transaction in a league that moved the player, in season order
+ * @param {{rosters: Array, users: Array, transactions: Array}} data - One league's data
+ * @param {string} playerId - Sleeper player ID
+ * @returns {Array<{week: number, kind: string, text: string}>} `kind` is the
+ *   transaction type, or 'failed' (lost bid) / 'drop'
+ */
+export function playerTransactions(data, playerId) {
+  const teamName = rosterId => {
+    const roster = data.rosters.find(r => Number(r.roster_id) === Number(rosterId));
+    return roster ? teamNameFor(data.users, roster) : `Team ${rosterId}`;
+  };
+  const events = [];
+
+  data.transactions
+    .filter(tx => (tx.adds && playerId in tx.adds) || (tx.drops && playerId in tx.drops))
+    .sort((a, b) => a._week - b._week || (a.status_updated || 0) - (b.status_updated || 0))
+    .forEach(tx => {
+      const bid = Number((tx.settings && tx.settings.waiver_bid) || 0);
+      const addedBy = tx.adds && tx.adds[playerId];
+      const droppedBy = tx.drops && tx.drops[playerId];
+      const week = tx._week;
+
+      if (tx.type === 'waiver' && tx.status === 'failed' && addedBy) {
+        events.push({ week, kind: 'failed', text: `${teamName(addedBy)} bid ${fmtFab(bid)} and lost` });
+        return;
+      }
+      if (tx.status !== 'complete') return;
+      if (tx.type === 'chopped') {
+        events.push({ week, kind: 'chopped', text: `Released when ${teamName(droppedBy)} was chopped` });
+      } else if (tx.type === 'trade') {
+        events.push({ week, kind: 'trade', text: `Traded from ${teamName(droppedBy)} to ${teamName(addedBy)}` });
+      } else if (addedBy) {
+        events.push({
+          week,
+          kind: tx.type,
+          text:
+            tx.type === 'waiver'
+              ? `Won by ${teamName(addedBy)} for ${fmtFab(bid)}` +
+                (droppedBy ? `, dropped by ${teamName(droppedBy)}` : '')
+              : `Added by ${teamName(addedBy)} as a free agent`
+        });
+      } else if (droppedBy) {
+        events.push({ week, kind: 'drop', text: `Dropped by ${teamName(droppedBy)}` });
+      }
+    });
+
+  return events;
+}
+
+// Weeks the player scored for a roster in this league
+function weeklyPoints(data, matchups, playerId) {
+  return matchups
+    .filter(
+      m =>
+        m.players_points &&
+        playerId in m.players_points &&
+        (!m.players || m.players.includes(playerId))
+    )
+    .map(m => {
+      const roster = data.rosters.find(r => r.roster_id === m.roster_id);
+      return {
+        week: m._week,
+        points: m.players_points[playerId] || 0,
+        team: roster ? teamNameFor(data.users, roster) : `Team ${m.roster_id}`,
+        started: (m.starters || []).includes(playerId)
+      };
+    })
+    .sort((a, b) => a.week - b.week);
+}
+
+function buildLeagueHistory(data, matchups, playerId) {
+  const weeks = weeklyPoints(data, matchups, playerId);
+  const trail = playerTransactions(data, playerId);
+  const started = weeks.filter(w => w.started);
+  const total = started.reduce((sum, w) => sum + w.points, 0);
+
+  return el(
+    'section',
+    { class: 'drawer-league' },
+    el('h3', {}, data.league.name || data.leagueId),
+    weeks.length
+      ? el(
+          'div',
+          { class: 'muted drawer-summary' },
+          `${total.toFixed(2)} pts in ${started.length} start${started.length === 1 ? '' : 's'}`
+        )
+      : el('div', { class: 'muted' }, 'Not on a roster in any scored week.'),
+    weeks.length
+      ? el(
+          'table',
+          { class: 'stats-table drawer-points' },
+          el(
+            'thead',
+            {},
+            el('tr', {}, el('th', {}, 'Week'), el('th', {}, 'Team'), el('th', { style: 'text-align:right' }, 'Pts'))
+          ),
+          el(
+            'tbody',
+            {},
+            ...weeks.map(w =>
+              el(
+                'tr',
+                { class: w.started ? '' : 'benched' },
+                el('td', {}, String(w.week)),
+                el('td', {}, w.started ? w.team : `${w.team} (bench)`),
+                el('td', { style: 'text-align:right' }, w.points.toFixed(2))
+              )
+            )
+          )
+        )
+      : '',
+    el('h4', {}, 'Transactions'),
+    trail.length
+      ? el(
+          'ul',
+          { class: 'search-history' },
+          ...trail.map(ev =>
+            el('li', { class: `search-event search-${ev.kind}` }, el('span', { class: 'muted' }, `Wk ${ev.week}`), ev.text)
+          )
+        )
+      : el('div', { class: 'muted' }, 'No transactions.')
+  );
+}
+
+function buildHeader(playersAll, playerId) {
+  const p = playersAll[playerId];
+  const pos = (p && p.position) || '?';
+  const details = [
+    (p && p.team) || 'Free agent',
+    pos,
+    p && p.bye_week ? `Bye ${p.bye_week}` : '',
+    (p && (p.injury_status || p.status)) || ''
+  ].filter(Boolean);
+
+  return el(
+    'div',
+    { class: 'drawer-head' },
+    el('div', { class: 'p-avatar', 'aria-hidden': 'true', style: `background:${positionColor(pos)}` }, pos),
+    el(
+      'div',
+      {},
+      el('div', { class: 'team-name' }, getPlayerName(playersAll, playerId)),
+      el('div', { class: 'muted' }, details.join(' • '))
+    ),
+    el('button', { class: 'btn drawer-close', type: 'button', 'aria-label': 'Close', onclick: closePlayerDrawer }, '×')
+  );
+}
+
+function ensureDrawer() {
+  if (drawerEl) return;
+  backdropEl = el('div', { class: 'drawer-backdrop', onclick: closePlayerDrawer });
+  drawerEl = el('aside', {
+    class: 'player-drawer',
+    role: 'dialog',
+    'aria-modal': 'true',
+    'aria-label': 'Player details'
+  });
+  document.body.append(backdropEl, drawerEl);
+  document.addEventListener('keydown', e => {
+    if (e.key === 'Escape' && shownPlayerId) closePlayerDrawer();
+  });
+}
+
+export function closePlayerDrawer() {
+  if (!drawerEl) return;
+  shownPlayerId = null;
+  drawerEl.classList.remove('open');
+  backdropEl.classList.remove('open');
+}
+
+/**
+ * Opens the drawer for a player and loads their history in every league
+ * @param {string} playerId - Sleeper player ID
+ */
+export async function openPlayerDrawer(playerId) {
+  ensureDrawer();
+  shownPlayerId = playerId;
+  drawerEl.replaceChildren(el('div', { class: 'loading' }, 'Loading player...'));
+  drawerEl.classList.add('open');
+  backdropEl.classList.add('open');
+
+  let body = null;
+  try {
+    const playersAll = await getPlayers();
+    if (shownPlayerId !== playerId) return;
+    body = el('div', { class: 'drawer-body' }, el('div', { class: 'loading' }, 'Loading league history...'));
+    drawerEl.replaceChildren(buildHeader(playersAll, playerId), body);
+    drawerEl.querySelector('.drawer-close').focus();
+
+    const leagueConfigs = getLeagueConfigs();
+    const loaded = await Promise.all(
+      leagueConfigs.map(cfg =>
+        Promise.all([
+          getLeagueBundle(cfg.id),
+          getSeasonMatchups(cfg.id, { throughWeek: lastTransactionWeek(cfg.id) }),
+          getTransactions(cfg.id)
+        ])
+      )
+    );
+    if (shownPlayerId !== playerId) return;
+    body.replaceChildren(
+      ...leagueConfigs.map((cfg, i) => {
+        const [bundle, matchups, transactions] = loaded[i];
+        return buildLeagueHistory({ leagueId: cfg.id, ...bundle, transactions }, matchups, playerId);
+      })
+    );
+  } catch (err) {
+    if (shownPlayerId !== playerId) return;
+    const error = el('div', { class: 'err' }, `Could not load player history. ${err.message}`);
+    // Keep the header if it loaded; replace whichever loading message is showing
+    if (body) body.replaceChildren(error);
+    else drawerEl.replaceChildren(error);
+  }
+}
+
+/**
+ * A player name that opens the drawer when clicked
+ * @param {string} playerId - Sleeper player ID
+ * @param {string|Node} label - Usually the player's name
+ * @returns {HTMLElement}
+ */
+export function playerLink(playerId, label) {
+  return el(
+    'button',
+    {
+      class: 'player-link',
+      type: 'button',
+      onclick: e => {
+        // Rows with their own click handlers (team lists) shouldn't fire too
+        e.stopPropagation();
+        openPlayerDrawer(playerId);
+      }
+    },
+    label
+  );
+}
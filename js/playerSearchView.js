@@ -0,0 +1,312 @@
+// js/playerSearchView.js
+// Players tab: fuzzy search over the player directory, then for the picked
+// player show, in every configured league, which team has them, whether
+// they're starting, their points this week and their waiver history (bids won
+// and lost, drops, chops) - or that they're a free agent there.
+//
+// The picked player is kept in the URL (`player=<id>`).
+
+import { state } from './cache.js';
+import {
+  getLeagueBundle,
+  getWeekMatchups,
+  getTransactions,
+  getPlayers,
+  isAliveInWeek
+} from './leagueData.js';
+import { el } from './dom.js';
+import { getPlayerName, teamNameFor } from './names.js';
+import { getLeagueConfigs } from './leagueConfig.js';
+import { isAbortError } from './scheduler.js';
+import { updateRoute, routeHref } from './router.js';
+import { positionColor } from './rosterSlots.js';
+import { playerTransactions, playerLink } from './playerDrawer.js';
+
+const MAX_SUGGESTIONS = 10;
+
+// Player picked from the URL or the search box (string or null)
+let selectedPlayerId = null;
+// Built once the tab has loaded
+let searchIndex = null;
+let playersAll = null;
+let leagueData = []; // [{ leagueId, league, rosters, users, matchups, transactions }]
+
+function normalize(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9 ]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Active players plus anyone on a roster in one of the leagues
+function buildSearchIndex(players, rosteredIds) {
+  return Object.entries(players)
+    .filter(([id, p]) => p && (p.active || rosteredIds.has(id)))
+    .map(([id, p]) => {
+      const name = getPlayerName(players, id);
+      const norm = normalize(name);
+      return {
+        id,
+        name,
+        norm,
+        words: norm.split(' '),
+        position: p.position || '',
+        team: p.team || '',
+        rostered: rosteredIds.has(id)
+      };
+    });
+}
+
+// Characters of the query appearing in order in the name, e.g. "cmc" in
+// "christian mccaffrey"; tighter matches score higher
+function subsequenceScore(name, query) {
+  let pos = -1;
+  let gaps = 0;
+  for (const ch of query) {
+    const next = name.indexOf(ch, pos + 1);
+    if (next === -1) return 0;
+    if (pos !== -1) gaps += next - pos - 1;
+    pos = next;
+  }
+  return Math.max(1, 40 - gaps);
+}
+
+/**
+ * How well a player's name matches the query (0 = no match)
+ * @param {Object} entry - Search index entry
+ * @param {string} query - Normalized query
+ * @returns {number}
+ */
+function matchScore(entry, query) {
+  if (entry.norm === query) return 100;
+  if (entry.norm.startsWith(query)) return 90;
+  const tokens = query.split(' ');
+  if (tokens.every(t => entry.words.some(w => w.startsWith(t)))) return 80;
+  if (entry.norm.includes(query)) return 60;
+  return subsequenceScore(entry.norm.replace(/ /g, ''), query.replace(/ /g, ''));
+}
+
+/**
+ * Best matches for a search, rostered players first among equal scores
+ * @param {string} text - What the user typed
+ * @returns {Array<Object>} Search index entries
+ */
+function searchPlayers(text) {
+  const query = normalize(text);
+  if (!query || !searchIndex) return [];
+  return searchIndex
+    .map(entry => ({ entry, score: matchScore(entry, query) + (entry.rostered ? 5 : 0) }))
+    .filter(r => r.score > 5)
+    .sort((a, b) => b.score - a.score || a.entry.name.localeCompare(b.entry.name))
+    .slice(0, MAX_SUGGESTIONS)
+    .map(r => r.entry);
+}
+
+/**
+ * Where a player stands in one league
+ * @returns {{owner: Object|null, teamName: string|null, starting: boolean, points: number|null, history: Array}}
+ */
+function playerInLeague(data, playerId) {
+  const owner =
+    data.rosters.find(r => isAliveInWeek(r, state.currentWeek) && (r.players || []).includes(playerId)) || null;
+  const matchup = owner && data.matchups.find(m => m.roster_id === owner.roster_id);
+  const points =
+    matchup && matchup.players_points && playerId in matchup.players_points
+      ? matchup.players_points[playerId] || 0
+      : null;
+  return {
+    owner,
+    teamName: owner ? teamNameFor(data.users, owner) : null,
+    starting: !!owner && (owner.starters || []).includes(playerId),
+    points,
+    history: playerTransactions(data, playerId)
+  };
+}
+
+function buildLeagueResult(data, playerId) {
+  const info = playerInLeague(data, playerId);
+  const status = info.owner
+    ? el(
+        'div',
+        { class: 'search-owner' },
+        el(
+          'a',
+          {
+            class: 'team-link',
+            href: routeHref({
+              tab: 'teams',
+              league: data.leagueId,
+              roster: String(info.owner.roster_id),
+              week: null
+            })
+          },
+          info.teamName
+        ),
+        el('span', { class: 'badge' + (info.starting ? ' starting' : '') }, info.starting ? 'Starting' : 'Bench')
+      )
+    : el('div', { class: 'search-owner' }, el('span', { class: 'badge free-agent' }, 'Free agent'));
+
+  return el(
+    'div',
+    { class: 'card search-league' },
+    el('h3', {}, data.league.name || data.leagueId),
+    status,
+    info.owner
+      ? el(
+          'div',
+          { class: 'muted' },
+          info.points === null
+            ? `Week ${state.currentWeek}: no points yet`
+            : `Week ${state.currentWeek}: ${info.points.toFixed(2)} pts`
+        )
+      : '',
+    info.history.length
+      ? el(
+          'ul',
+          { class: 'search-history' },
+          ...info.history.map(ev =>
+            el('li', { class: `search-event search-${ev.kind}` }, el('span', { class: 'muted' }, `Wk ${ev.week}`), ev.text)
+          )
+        )
+      : el('div', { class: 'muted' }, 'No waiver history.')
+  );
+}
+
+function buildPlayerDetail(playerId) {
+  const p = playersAll[playerId];
+  if (!p) {
+    return el('div', { class: 'empty' }, `No player with ID ${playerId}.`);
+  }
+  const pos = p.position || '?';
+  return el(
+    'div',
+    { class: 'search-detail' },
+    el(
+      'div',
+      { class: 'search-player' },
+      el('div', { class: 'p-avatar', 'aria-hidden': 'true', style: `background:${positionColor(pos)}` }, pos),
+      el(
+        'div',
+        {},
+        el('div', { class: 'team-name' }, playerLink(playerId, getPlayerName(playersAll, playerId))),
+        el('div', { class: 'muted' }, [p.team || 'FA', p.injury_status].filter(Boolean).join(' • '))
+      )
+    ),
+    el('div', { class: 'search-leagues' }, ...leagueData.map(data => buildLeagueResult(data, playerId)))
+  );
+}
+
+function renderSelected(container) {
+  const detail = container.querySelector('.search-detail-slot');
+  if (!detail) return;
+  detail.replaceChildren(
+    selectedPlayerId
+      ? buildPlayerDetail(selectedPlayerId)
+      : el('div', { class: 'muted' }, 'Search for a player to see who has them in each league.')
+  );
+}
+
+function buildSearchBox(container) {
+  const suggestions = el('div', { class: 'search-suggestions' });
+  const input = el('input', {
+    class: 'text-input player-search-input',
+    type: 'search',
+    placeholder: 'Search players, e.g. "mccaffrey" or "cmc"',
+    autocomplete: 'off'
+  });
+
+  const pick = entry => {
+    selectedPlayerId = entry.id;
+    input.value = entry.name;
+    suggestions.replaceChildren();
+    updateRoute({ player: entry.id });
+    renderSelected(container);
+  };
+
+  input.addEventListener('input', () => {
+    suggestions.replaceChildren(
+      ...searchPlayers(input.value).map(entry =>
+        el(
+          'button',
+          { class: 'search-suggestion', type: 'button', onclick: () => pick(entry) },
+          el('span', { class: 'p-pos', style: `color:${positionColor(entry.position)}` }, entry.position || '?'),
+          el('span', {}, entry.name),
+          el('span', { class: 'muted' }, entry.team || 'FA')
+        )
+      )
+    );
+  });
+  input.addEventListener('keydown', e => {
+    if (e.key !== 'Enter') return;
+    const [first] = searchPlayers(input.value);
+    if (first) pick(first);
+  });
+
+  if (selectedPlayerId && playersAll[selectedPlayerId]) {
+    input.value = getPlayerName(playersAll, selectedPlayerId);
+  }
+  return el('div', { class: 'player-search' }, input, suggestions);
+}
+
+/**
+ * Shows the player in the URL, re-rendering if the tab has loaded
+ * @param {{player?: string}} params - Route params
+ */
+export function applyPlayerSearchRoute(params) {
+  selectedPlayerId = params.player || null;
+  const container = document.getElementById('players-content');
+  if (searchIndex && container.querySelector('.search-detail-slot')) {
+    const input = container.querySelector('.player-search-input');
+    const p = selectedPlayerId && playersAll[selectedPlayerId];
+    input.value = p ? getPlayerName(playersAll, selectedPlayerId) : '';
+    renderSelected(container);
+  }
+}
+
+/**
+ * Loads the player directory and every league's rosters, current matchups and
+ * transactions, then renders the Players tab
+ * @param {AbortSignal} [signal] - Aborted when the user leaves the tab mid-load
+ */
+export async function loadPlayerSearch(signal) {
+  const container = document.getElementById('players-content');
+  container.replaceChildren(el('div', { class: 'loading' }, 'Loading players and league rosters...'));
+
+  const leagueConfigs = getLeagueConfigs();
+  try {
+    const [players, loaded] = await Promise.all([
+      getPlayers(),
+      Promise.all(
+        leagueConfigs.map(cfg =>
+          Promise.all([
+            getLeagueBundle(cfg.id, { signal }),
+            getWeekMatchups(cfg.id, state.currentWeek, { signal }),
+            getTransactions(cfg.id, { signal })
+          ])
+        )
+      )
+    ]);
+
+    playersAll = players;
+    leagueData = leagueConfigs.map((cfg, i) => {
+      const [bundle, matchups, transactions] = loaded[i];
+      return { leagueId: cfg.id, ...bundle, matchups, transactions };
+    });
+    const rosteredIds = new Set(
+      leagueData.flatMap(data => data.rosters.flatMap(r => r.players || []))
+    );
+    searchIndex = buildSearchIndex(playersAll, rosteredIds);
+
+    container.replaceChildren(buildSearchBox(container), el('div', { class: 'search-detail-slot' }));
+    renderSelected(container);
+  } catch (err) {
+    // Left mid-load; the tab starts over on the next visit
+    if (isAbortError(err)) return;
+    container.replaceChildren(
+      el('div', { class: 'err' }, 'Failed to load players: ' + err.message)
+    );
+  }
+}
@@ -0,0 +1,99 @@
+// js/rosterSlots.js
+// Lineup slots from a league's roster_positions.
+//
+// Sleeper's `starters` array lines up index-for-index with the starting slots
+// in `league.roster_positions` (everything except BN/IR/TAXI), with '0' for a
+// slot nobody was put in.
+
+import { POSITION_COLORS, POSITION_FALLBACK_COLOR } from './constants.js';
+
+// Slots that aren't part of the starting lineup
+const NON_STARTING_SLOTS = new Set(['BN', 'IR', 'TAXI']);
+
+// Positions each flex slot accepts; plain slots accept their own position
+const SLOT_ELIGIBILITY = {
+  FLEX: ['RB', 'WR', 'TE'],
+  WRRB_FLEX: ['WR', 'RB'],
+  REC_FLEX: ['WR', 'TE'],
+  SUPER_FLEX: ['QB', 'RB', 'WR', 'TE'],
+  IDP_FLEX: ['DL', 'DE', 'DT', 'LB', 'DB', 'CB', 'S'],
+  DL: ['DL', 'DE', 'DT'],
+  DB: ['DB', 'CB', 'S']
+};
+
+const SLOT_LABELS = {
+  FLEX: 'FLEX',
+  WRRB_FLEX: 'W/R',
+  REC_FLEX: 'W/T',
+  SUPER_FLEX: 'SF',
+  IDP_FLEX: 'IDP'
+};
+
+/**
+ * @param {string} slot - Roster position, e.g. 'SUPER_FLEX'
+ * @returns {string} Short label for display
+ */
+export function slotLabel(slot) {
+  return SLOT_LABELS[slot] || slot;
+}
+
+/**
+ * @param {string} posOrSlot - Player position or roster slot
+ * @returns {string} CSS color
+ */
+export function positionColor(posOrSlot) {
+  return POSITION_COLORS[posOrSlot] || POSITION_FALLBACK_COLOR;
+}
+
+/**
+ * @param {Object} league - League object
+ * @returns {Array<string>} Starting slots in lineup order
+ */
+export function startingSlots(league) {
+  return ((league && league.roster_positions) || []).filter(
+    slot => !NON_STARTING_SLOTS.has(slot)
+  );
+}
+
+/**
+ * Whether a player can legally fill a slot
+ * @param {string} slot - Roster position
+ * @param {Object} player - Player from the directory
+ * @returns {boolean}
+ */
+export function isEligible(slot, player) {
+  if (!player) return false;
+  const allowed = SLOT_ELIGIBILITY[slot] || [slot];
+  const positions = player.fantasy_positions || [player.position];
+  return positions.some(pos => allowed.includes(pos));
+}
+
+/**
+ * Pairs each starting slot with the player in it
+ * @param {Object} league - League object (for roster_positions)
+ * @param {Array<string>} starterIds - Raw `starters` array, '0' for empty slots
+ * @param {Object} playersAll - Player directory
+ * @returns {Array<{slot: string, playerId: string|null, player: Object|null, empty: boolean, eligible: boolean}>}
+ *   Without roster_positions, one entry per starter using the player's own position
+ */
+export function assignStarters(league, starterIds, playersAll) {
+  const ids = starterIds || [];
+  const slots = startingSlots(league);
+  const count = slots.length || ids.length;
+  const lineup = [];
+
+  for (let i = 0; i < count; i++) {
+    const id = ids[i] && ids[i] !== '0' ? ids[i] : null;
+    const player = id ? playersAll[id] || null : null;
+    const slot = slots[i] || (player && player.position) || '?';
+    lineup.push({
+      slot,
+      playerId: id,
+      player,
+      empty: !id,
+      // Unknown players (not in the directory) get the benefit of the doubt
+      eligible: !id || !player || isEligible(slot, player)
+    });
+  }
+  return lineup;
+}
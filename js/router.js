@@ -0,0 +1,118 @@
+// js/router.js
+// Keeps navigation state in the URL hash so any view can be bookmarked or
+// shared, and the browser's back/forward buttons move between views.
+//
+//   #/<tab>?league=<id>&roster=<id>&week=<n>&order=chop&leagues=<id,id>&scale=<s>&status=<s>&player=<id>
+//     &compare=<leagueId:rosterId,...>
+//
+// Params are flat and shared by every tab, so switching tabs keeps the other
+// tabs' state in the URL. Views call updateRoute() as the user navigates;
+// routes that come from the URL itself (page load, back/forward, an edited
+// hash) are handed to the onRouteChange() listeners to apply.
+
+const DEFAULT_TAB = 'teams';
+
+let current = parseHash(location.hash);
+// Last hash this module wrote or applied, to ignore our own history entries
+let lastHash = location.hash;
+// True while listeners apply a route from the URL
+let applying = false;
+const listeners = [];
+
+function parseHash(hash) {
+  const [path, query = ''] = hash.replace(/^#\/?/, '').split('?');
+  const params = {};
+  new URLSearchParams(query).forEach((value, key) => {
+    if (value) params[key] = value;
+  });
+  return { tab: path || DEFAULT_TAB, params };
+}
+
+function formatHash({ tab, params }) {
+  const query = new URLSearchParams();
+  Object.keys(params)
+    .sort()
+    .forEach(key => {
+      const value = params[key];
+      if (value !== null && value !== undefined && value !== '') {
+        query.set(key, value);
+      }
+    });
+  // Commas are safe in a fragment; keep league lists readable
+  const qs = query.toString().replace(/%2C/gi, ',');
+  return `#/${tab}${qs ? `?${qs}` : ''}`;
+}
+
+/**
+ * @returns {{tab: string, params: Object<string, string>}} The current route
+ */
+export function getRoute() {
+  return { tab: current.tab, params: { ...current.params } };
+}
+
+/**
+ * Records a navigation the UI has already made, without re-applying it
+ * @param {Object} changes - `tab` and/or params to set; null or '' removes a param
+ * @param {Object} [options]
+ * @param {boolean} [options.replace] - Replace the history entry instead of
+ *   adding one (for filters, so they don't flood the back button). Always
+ *   replaces while a route from the URL is being applied, so normalizing it
+ *   doesn't add an entry that back would return to.
+ */
+export function updateRoute(changes, { replace = false } = {}) {
+  const { tab, ...params } = changes;
+  const hash = formatHash({
+    tab: tab || current.tab,
+    params: { ...current.params, ...params }
+  });
+  current = parseHash(hash);
+  if (hash === location.hash) return;
+  lastHash = hash;
+  history[replace || applying ? 'replaceState' : 'pushState'](null, '', hash);
+}
+
+/**
+ * Hash for the current route with some changes, for links into another view.
+ * Following the link goes through onRouteChange() like any edited hash.
+ * @param {Object} changes - `tab` and/or params; null or '' removes a param
+ * @returns {string}
+ */
+export function routeHref(changes) {
+  const { tab, ...params } = changes;
+  return formatHash({
+    tab: tab || current.tab,
+    params: { ...current.params, ...params }
+  });
+}
+
+/**
+ * Registers a callback for routes that come from the URL
+ * @param {function({tab: string, params: Object}): void} fn
+ */
+export function onRouteChange(fn) {
+  listeners.push(fn);
+}
+
+/**
+ * Applies the route in the URL now and on every later back/forward or hash edit
+ */
+export function startRouter() {
+  const apply = () => {
+    lastHash = location.hash;
+    current = parseHash(location.hash);
+    applying = true;
+    try {
+      listeners.forEach(fn => fn(getRoute()));
+    } finally {
+      applying = false;
+    }
+  };
+  // popstate covers back/forward over pushState entries, hashchange covers
+  // typed or linked hashes; when both fire the second one is skipped
+  const onNavigate = () => {
+    if (location.hash !== lastHash) apply();
+  };
+  window.addEventListener('popstate', onNavigate);
+  window.addEventListener('hashchange', onNavigate);
+  apply();
+}
@@ -0,0 +1,175 @@
+// js/scheduler.js
+// Request scheduler for the HTTP data sources in dataSource.js.
+//
+// - At most REQUEST_CONCURRENCY requests are in flight; the rest wait in a FIFO queue
+// - Each attempt is cut off after a timeout
+// - 429, 5xx, timeouts and network failures are retried with exponential backoff
+//   (honoring Retry-After when Sleeper sends it)
+// - An AbortSignal cancels the request whether it is queued, in flight or backing off
+
+import {
+  REQUEST_CONCURRENCY,
+  REQUEST_TIMEOUT_MS,
+  REQUEST_RETRIES,
+  REQUEST_BACKOFF_MS
+} from './constants.js';
+
+let active = 0;
+const waiting = [];
+
+export function abortError() {
+  return new DOMException('The operation was aborted.', 'AbortError');
+}
+
+export function isAbortError(err) {
+  return Boolean(err) && err.name === 'AbortError';
+}
+
+export function throwIfAborted(signal) {
+  if (signal && signal.aborted) throw abortError();
+}
+
+/**
+ * Waits for a free request slot
+ * @param {AbortSignal} [signal] - Removes the waiter from the queue when aborted
+ * @returns {Promise<void>}
+ */
+function acquireSlot(signal) {
+  throwIfAborted(signal);
+  if (active < REQUEST_CONCURRENCY) {
+    active++;
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const waiter = {
+      start: () => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        active++;
+        resolve();
+      }
+    };
+    const onAbort = () => {
+      const i = waiting.indexOf(waiter);
+      if (i !== -1) waiting.splice(i, 1);
+      reject(abortError());
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    waiting.push(waiter);
+  });
+}
+
+function releaseSlot() {
+  active--;
+  const next = waiting.shift();
+  if (next) next.start();
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Delay before retry number `attempt` (0-based): base * 2^attempt plus jitter,
+ * or the server's Retry-After if it asked for longer
+ */
+function backoffDelay(attempt, retryAfterHeader) {
+  const exponential = REQUEST_BACKOFF_MS * 2 ** attempt;
+  const jitter = Math.random() * REQUEST_BACKOFF_MS;
+  const retryAfter = Number(retryAfterHeader) * 1000;
+  return Math.max(exponential + jitter, Number.isFinite(retryAfter) ? retryAfter : 0);
+}
+
+/**
+ * One fetch attempt with a timeout, linked to the caller's signal
+ * @returns {Promise<{res: Response, data: any}>} data is null when !res.ok
+ */
+async function attemptFetch(url, signal, timeoutMs) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const onAbort = () => controller.abort();
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    const res = await fetch(url, {
+      headers: { Accept: 'application/json' },
+      signal: controller.signal
+    });
+    // Read the body inside the timeout too - the player directory is ~5MB
+    const data = res.ok ? await res.json() : null;
+    return { res, data };
+  } catch (err) {
+    if (timedOut) {
+      const timeoutErr = new Error(`Timed out after ${timeoutMs}ms for ${url}`);
+      timeoutErr.retryable = true;
+      throw timeoutErr;
+    }
+    if (!isAbortError(err)) err.retryable = true; // network failure
+    throw err;
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Fetches JSON through the shared request queue
+ * @param {string} url - Absolute URL
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request (rejects with AbortError)
+ * @param {number} [options.timeoutMs] - Per-attempt timeout
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @returns {Promise<any>} Parsed JSON; rejects with an Error carrying `status` on HTTP errors
+ */
+export async function scheduledFetchJSON(
+  url,
+  { signal, timeoutMs = REQUEST_TIMEOUT_MS, retries = REQUEST_RETRIES } = {}
+) {
+  for (let attempt = 0; ; attempt++) {
+    await acquireSlot(signal);
+    let result;
+    let failure = null;
+    try {
+      result = await attemptFetch(url, signal, timeoutMs);
+    } catch (err) {
+      failure = err;
+    } finally {
+      // Free the slot before backing off so other requests keep flowing
+      releaseSlot();
+    }
+
+    if (failure) {
+      if (!failure.retryable || attempt >= retries) throw failure;
+      await sleep(backoffDelay(attempt), signal);
+      continue;
+    }
+
+    const { res, data } = result;
+    if (res.ok) return data;
+
+    if (isRetryableStatus(res.status) && attempt < retries) {
+      await sleep(backoffDelay(attempt, res.headers.get('Retry-After')), signal);
+      continue;
+    }
+    const err = new Error(`HTTP ${res.status} for ${url}`);
+    err.status = res.status;
+    throw err;
+  }
+}
@@ -0,0 +1,156 @@
+// js/season.js
+// Current NFL week and season calendar, from Sleeper's /state/nfl endpoint.
+//
+// Fills state.currentWeek, state.season, state.seasonType and
+// state.seasonStartMs once on startup. If the endpoint fails, or it is the
+// off-season and its week says nothing about the leagues, the current week is
+// probed from league data instead (api.detectCurrentWeek).
+//
+// Leagues can be from different seasons, so each also gets its own current
+// week in state.leagueWeeks (loadLeagueWeeks). That decides which of its weeks
+// are complete: a league from an earlier season than /state/nfl's is over and
+// every week of it is.
+
+import { MAX_WEEKS } from './constants.js';
+import { state } from './cache.js';
+import { api } from './api.js';
+import { getLeague } from './leagueData.js';
+
+export const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function clampWeek(week) {
+  return Math.max(1, Math.min(MAX_WEEKS, Number(week) || 1));
+}
+
+/**
+ * Parses Sleeper's 'YYYY-MM-DD' season_start_date as UTC midnight
+ * @returns {number|null} Timestamp in ms, or null if missing/invalid
+ */
+function parseStartDate(dateStr) {
+  if (!dateStr) return null;
+  const ms = Date.parse(`${dateStr}T00:00:00Z`);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+/**
+ * Estimated kickoff for a season: the Thursday after Labor Day
+ * (the first Monday of September)
+ * @param {string|number} season - Season year
+ * @returns {number} Timestamp in ms (UTC midnight)
+ */
+function estimatedKickoffMs(season) {
+  const year = Number(season) || new Date().getUTCFullYear();
+  const sept1 = new Date(Date.UTC(year, 8, 1));
+  const daysToMonday = (8 - sept1.getUTCDay()) % 7;
+  return sept1.getTime() + (daysToMonday + 3) * DAY_MS;
+}
+
+// Set when state.currentWeek was probed rather than read from /state/nfl
+let probedLeagueId = null;
+
+/**
+ * Loads the NFL state into `state`, falling back to probing a league
+ * @param {string} [fallbackLeagueId] - League probed if /state/nfl can't be used
+ */
+export async function loadSeasonState(fallbackLeagueId) {
+  let nfl = null;
+  try {
+    nfl = await api.nflState();
+  } catch (e) {
+    console.warn('Failed to load NFL state, probing league data instead:', e);
+  }
+
+  if (nfl) {
+    state.season = nfl.season ? String(nfl.season) : null;
+    state.seasonType = nfl.season_type || null;
+    state.seasonStartMs = parseStartDate(nfl.season_start_date);
+  }
+
+  probedLeagueId = null;
+  if (nfl && nfl.season_type === 'regular') {
+    state.currentWeek = clampWeek(nfl.week);
+  } else if (nfl && nfl.season_type === 'pre') {
+    state.currentWeek = 1;
+  } else if (nfl && nfl.season_type === 'post') {
+    state.currentWeek = MAX_WEEKS;
+  } else if (fallbackLeagueId) {
+    try {
+      state.currentWeek = await api.detectCurrentWeek(fallbackLeagueId, MAX_WEEKS);
+      probedLeagueId = fallbackLeagueId;
+    } catch (e) {
+      console.error('Failed to detect current week, defaulting to 1:', e);
+      state.currentWeek = 1;
+    }
+  } else {
+    state.currentWeek = 1;
+  }
+  console.log(
+    `Current week: ${state.currentWeek}` +
+      (state.seasonType ? ` (${state.season} ${state.seasonType})` : '')
+  );
+}
+
+/**
+ * Current week of one league. A league from an earlier season than
+ * /state/nfl's is over: MAX_WEEKS + 1, so every week counts as complete. When
+ * the NFL week was probed, each league is probed on its own.
+ * @param {string} leagueId - Sleeper league ID
+ * @returns {Promise<number>}
+ */
+async function leagueCurrentWeek(leagueId) {
+  let league = null;
+  try {
+    league = await getLeague(leagueId);
+  } catch (e) {
+    // Unknown season: follow the NFL week
+  }
+  const season = Number(league && league.season);
+  if (state.season && season) {
+    if (season < Number(state.season)) return MAX_WEEKS + 1;
+    if (season > Number(state.season)) return 1;
+  }
+  if (probedLeagueId === null || leagueId === probedLeagueId) return state.currentWeek;
+  try {
+    return await api.detectCurrentWeek(leagueId, MAX_WEEKS);
+  } catch (e) {
+    console.warn(`Failed to detect the current week of league ${leagueId}:`, e);
+    return state.currentWeek;
+  }
+}
+
+/**
+ * Fills state.leagueWeeks for the configured leagues. Call after
+ * loadSeasonState() and again whenever the league list changes; leagues
+ * already worked out are kept, removed ones are dropped.
+ * @param {Array<string>} leagueIds - Sleeper league IDs
+ */
+export async function loadLeagueWeeks(leagueIds) {
+  const wanted = new Set(leagueIds);
+  [...state.leagueWeeks.keys()].forEach(id => {
+    if (!wanted.has(id)) state.leagueWeeks.delete(id);
+  });
+  await Promise.all(
+    leagueIds
+      .filter(id => !state.leagueWeeks.has(id))
+      .map(async id => {
+        state.leagueWeeks.set(id, await leagueCurrentWeek(id));
+      })
+  );
+}
+
+/**
+ * Start of a fantasy week: the Wednesday before that week's Thursday games,
+ * when waivers for the week run. Uses Sleeper's season_start_date for the
+ * current season and the Labor Day rule for any other season.
+ * @param {number} week - Week number (1-based)
+ * @param {string|number} season - Season year of the league
+ * @returns {number} Timestamp in ms
+ */
+export function weekStartMs(week, season) {
+  const kickoffMs =
+    state.seasonStartMs && state.season === String(season)
+      ? state.seasonStartMs
+      : estimatedKickoffMs(season);
+  return kickoffMs - DAY_MS + (week - 1) * WEEK_MS;
+}
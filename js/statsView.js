@@ -1,55 +1,53 @@
 // js/statsView.js
-import { LEAGUE_IDS, MAX_WEEKS } from './constants.js';
-import { cache, state } from './cache.js';
-import { api } from './api.js';
+import { POSITION_COLORS, WAIVER_RUN_WINDOW_MS } from './constants.js';
+import { cache } from './cache.js';
+import {
+  getPlayers,
+  getRosters,
+  getTransactions,
+  getSeasonMatchups,
+  eliminatedWeek
+} from './leagueData.js';
 import { el, fmtFab } from './dom.js';
+import { getPlayerName, getTeamName } from './names.js';
+import { getLeagueConfigs } from './leagueConfig.js';
+import { isAbortError } from './scheduler.js';
+import { playerLink } from './playerDrawer.js';
+import { buildExportButtons, fileSlug } from './exportData.js';
 
-async function fetchLeagueTransactions(leagueId) {
-  if (cache.transactions.has(leagueId)) {
-    return cache.transactions.get(leagueId);
-  }
-  const all = [];
-  for (let wk = 1; wk <= MAX_WEEKS; wk++) {
-    try {
-      const arr = await api.transactions(leagueId, wk);
-      if (Array.isArray(arr) && arr.length) {
-        arr.forEach(tx => {
-          tx._week = wk;
-          all.push(tx);
-        });
-      }
-    } catch (e) {
-      // ignore per-week errors
-    }
-  }
-  cache.transactions.set(leagueId, all);
-  return all;
+// Sections with more tables than this ('All Leagues' + 2 leagues) show a
+// league selector instead of a card grid
+const MAX_GRID_TABLES = 3;
+
+// Rows per page offered by stats tables (plus "Show all"); the first is the default
+const STATS_PAGE_SIZES = [10, 25, 50];
+
+// Stats toolbar filters, kept across reloads of the tab
+// fromWeek/toWeek: null = season start/end; teams: 'all' | 'surviving' | 'chopped'
+let statsFilters = { fromWeek: null, toWeek: null, position: 'all', teams: 'all' };
+// What loadStats() fetched, so filter changes recompute without refetching
+let statsData = null; // { playersAll, leagues: [{ leagueId, transactions, matchups, rosters }] }
+// Each table's sort, text filter and page, keyed by section and league
+// (tableKey()), so toolbar changes (which rebuild every section) don't reset them
+const tableViews = new Map();
+// Table shown by sections with a league selector: section title -> tableKey()
+const selectedTables = new Map();
+
+// League names can repeat (one league over two seasons), so tables go by ID
+function tableKey(table) {
+  return table.leagueId || 'all';
 }
 
-async function fetchLeagueMatchups(leagueId) {
-  const allMatchups = [];
-  // Only fetch completed weeks (current week - 1)
-  // Current week is the week with scoring data, so the week before is definitely complete
-  const maxWeek = state.currentWeek ? state.currentWeek - 1 : MAX_WEEKS;
-  
-  for (let wk = 1; wk <= maxWeek; wk++) {
-    try {
-      const matchups = await api.matchups(leagueId, wk);
-      if (Array.isArray(matchups) && matchups.length) {
-        matchups.forEach(m => {
-          m._week = wk;
-          allMatchups.push(m);
-        });
-      }
-    } catch (e) {
-      // ignore per-week errors
-    }
-  }
-  
-  return allMatchups;
+/**
+ * Forgets every table's sort, filter, page and selected league; for when the
+ * configured leagues change
+ */
+export function resetStatsTableViews() {
+  tableViews.clear();
+  selectedTables.clear();
 }
 
-function computeLeagueStats(leagueId, transactions) {
+function computeLeagueStats(leagueId, transactions, includePlayer = () => true) {
   const chops = new Map();
   const spent = new Map();
   const winningBids = [];
@@ -58,7 +56,7 @@ function computeLeagueStats(leagueId, transactions) {
     if (tx.status !== 'complete') return;
 
     if (tx.type === 'chopped' && tx.drops) {
-      Object.keys(tx.drops).forEach(pid => {
+      Object.keys(tx.drops).filter(includePlayer).forEach(pid => {
         chops.set(pid, (chops.get(pid) || 0) + 1);
       });
     }
@@ -71,7 +69,7 @@ function computeLeagueStats(leagueId, transactions) {
           ? Number(tx.roster_ids[0])
           : null;
 
-      Object.keys(tx.adds).forEach(pid => {
+      Object.keys(tx.adds).filter(includePlayer).forEach(pid => {
         winningBids.push({
           playerId: pid,
           bid,
@@ -91,16 +89,6 @@ function computeLeagueStats(leagueId, transactions) {
   return { chops, spent, winningBids };
 }
 
-function getPlayerName(playersAll, playerId) {
-  const p = playersAll && playersAll[playerId];
-  if (!p) return `Player ${playerId}`;
-  if (p.full_name) return p.full_name;
-  if (p.first_name && p.last_name) {
-    return `${p.first_name} ${p.last_name}`;
-  }
-  return p.first_name || p.last_name || `Player ${playerId}`;
-}
-
 function getLeagueName(leagueId) {
   const league = cache.leagues.get(leagueId);
   return league && league.name ? league.name : leagueId;
@@ -124,141 +112,355 @@ function getOwnerLabel(leagueId, rosterId) {
 function rowsFromChopsMap(map, playersAll) {
   const arr = Array.from(map.entries()).map(
     ([playerId, count]) => ({
+      playerId,
       player: getPlayerName(playersAll, playerId),
       times: count
     })
   );
   arr.sort((a, b) => b.times - a.times);
-  return arr.slice(0, 10);
+  return arr;
 }
 
 function rowsFromSpentMap(map, playersAll) {
   const arr = Array.from(map.entries()).map(
     ([playerId, rec]) => ({
+      playerId,
       player: getPlayerName(playersAll, playerId),
       total: rec.total,
       times: rec.count
     })
   );
   arr.sort((a, b) => b.total - a.total);
-  return arr.slice(0, 10).map(r => ({
-    player: r.player,
-    total: fmtFab(r.total),
-    times: r.times
-  }));
+  return arr;
 }
 
 function rowsFromWinningBids(bids, playersAll) {
-  const sorted = bids
-    .slice()
-    .sort((a, b) => b.bid - a.bid)
-    .slice(0, 10);
+  const sorted = bids.slice().sort((a, b) => b.bid - a.bid);
   return sorted.map(rec => ({
+    playerId: rec.playerId,
     player: getPlayerName(playersAll, rec.playerId),
-    bid: fmtFab(rec.bid),
-    by: getOwnerLabel(rec.leagueId, rec.rosterId),
-    week: rec.week != null ? rec.week : '-'
+    bid: rec.bid,
+    by: getTeamName(rec.leagueId, rec.rosterId),
+    week: rec.week,
+    leagueId: rec.leagueId,
+    rosterId: rec.rosterId
   }));
 }
 
-function buildStatsTable(columns, rows) {
+function compareValues(a, b) {
+  // Blanks sort last either way round
+  if (a == null || a === '') return b == null || b === '' ? 0 : 1;
+  if (b == null || b === '') return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+function formatCell(col, row) {
+  const value = row[col.key];
+  if (col.format) return col.format(value, row);
+  return value != null ? value : '';
+}
+
+/**
+ * Stats table with sortable headers, a text filter and paging
+ * Rows hold raw values (numbers stay numbers) so sorting is numeric; columns
+ * turn them into display text with `format`.
+ * @param {Array<{key: string, label: string, align?: string, format?: function(*, Object): string}>} columns
+ * @param {Array<Object>} rows - In default order
+ * @param {string} viewKey - Key in `tableViews` for this table's sort, filter and page
+ * @returns {HTMLElement}
+ */
+function buildStatsTable(columns, rows, viewKey) {
+  if (!tableViews.has(viewKey)) {
+    tableViews.set(viewKey, {
+      sortKey: null, // null = the order rows came in
+      sortDir: 1,
+      filter: '',
+      pageSize: STATS_PAGE_SIZES[0],
+      page: 0
+    });
+  }
+  const view = tableViews.get(viewKey);
+  const wrap = el('div', { class: 'stats-table-wrap' });
   const table = el('table', { class: 'stats-table' });
-  const thead = el(
-    'thead',
-    {},
-    el(
-      'tr',
-      {},
-      ...columns.map(col =>
-        el(
-          'th',
-          { style: `text-align:${col.align || 'left'}` },
-          col.label
+  const pager = el('div', { class: 'stats-pager muted' });
+
+  const visibleRows = () => {
+    const needle = view.filter.trim().toLowerCase();
+    let out = needle
+      ? rows.filter(row =>
+          columns.some(col => String(formatCell(col, row)).toLowerCase().includes(needle))
         )
+      : rows.slice();
+    if (view.sortKey) {
+      out = out.sort((a, b) => {
+        const av = a[view.sortKey];
+        const bv = b[view.sortKey];
+        if (av == null || av === '' || bv == null || bv === '') return compareValues(av, bv);
+        return view.sortDir * compareValues(av, bv);
+      });
+    }
+    return out;
+  };
+
+  const render = () => {
+    const filtered = visibleRows();
+    const pageSize = view.pageSize || filtered.length || 1;
+    const pages = Math.max(1, Math.ceil(filtered.length / pageSize));
+    view.page = Math.min(view.page, pages - 1);
+    const start = view.page * pageSize;
+    const pageRows = filtered.slice(start, start + pageSize);
+
+    const thead = el(
+      'thead',
+      {},
+      el(
+        'tr',
+        {},
+        ...columns.map(col => {
+          const sorted = view.sortKey === col.key;
+          return el(
+            'th',
+            {
+              class: 'sortable' + (sorted ? ' sorted' : ''),
+              style: `text-align:${col.align || 'left'}`,
+              'aria-sort': sorted ? (view.sortDir === 1 ? 'ascending' : 'descending') : 'none'
+            },
+            el(
+              'button',
+              {
+                class: 'sort-btn',
+                type: 'button',
+                onclick: () => {
+                  if (sorted) {
+                    view.sortDir = -view.sortDir;
+                  } else {
+                    view.sortKey = col.key;
+                    // Numbers read best biggest-first, text A-Z
+                    view.sortDir = typeof (rows[0] || {})[col.key] === 'number' ? -1 : 1;
+                  }
+                  view.page = 0;
+                  render();
+                }
+              },
+              col.label,
+              sorted ? (view.sortDir === 1 ? ' ▲' : ' ▼') : ''
+            )
+          );
+        })
       )
-    )
-  );
-  table.append(thead);
-
-  const tbody = el('tbody', {});
-  if (!rows || rows.length === 0) {
-    const td = el(
-      'td',
-      {
-        class: 'stats-empty',
-        colspan: String(columns.length)
-      },
-      'No data yet.'
     );
-    tbody.append(el('tr', {}, td));
-  } else {
-    rows.forEach(row => {
-      const tr = el('tr', {});
-      columns.forEach(col => {
-        tr.append(
+
+    const tbody = el('tbody', {});
+    if (pageRows.length === 0) {
+      tbody.append(
+        el(
+          'tr',
+          {},
           el(
             'td',
-            { style: `text-align:${col.align || 'left'}` },
-            row[col.key] != null ? row[col.key] : ''
+            { class: 'stats-empty', colspan: String(columns.length) },
+            rows.length ? 'No matches.' : 'No data yet.'
           )
-        );
+        )
+      );
+    } else {
+      pageRows.forEach(row => {
+        const tr = el('tr', {});
+        columns.forEach(col => {
+          const value = formatCell(col, row);
+          tr.append(
+            el(
+              'td',
+              { style: `text-align:${col.align || 'left'}` },
+              // Player names open the player drawer
+              col.key === 'player' && row.playerId
+                ? playerLink(row.playerId, value)
+                : value
+            )
+          );
+        });
+        tbody.append(tr);
       });
-      tbody.append(tr);
+    }
+    table.replaceChildren(thead, tbody);
+
+    const prev = el('button', { class: 'link-btn', type: 'button' }, '‹ Prev');
+    const next = el('button', { class: 'link-btn', type: 'button' }, 'Next ›');
+    prev.disabled = view.page === 0;
+    next.disabled = view.page >= pages - 1;
+    prev.addEventListener('click', () => {
+      view.page -= 1;
+      render();
     });
-  }
-  table.append(tbody);
-  return table;
+    next.addEventListener('click', () => {
+      view.page += 1;
+      render();
+    });
+    pager.replaceChildren(
+      prev,
+      el(
+        'span',
+        {},
+        filtered.length
+          ? `${start + 1}–${start + pageRows.length} of ${filtered.length}`
+          : '0 rows'
+      ),
+      next
+    );
+    pager.style.display = rows.length > STATS_PAGE_SIZES[0] ? '' : 'none';
+  };
+
+  const filterInput = el('input', {
+    class: 'text-input stats-filter',
+    type: 'search',
+    placeholder: 'Filter',
+    oninput: () => {
+      view.filter = filterInput.value;
+      view.page = 0;
+      render();
+    }
+  });
+  const sizeSelect = el(
+    'select',
+    {
+      class: 'text-input stats-page-size',
+      'aria-label': 'Rows per page',
+      onchange: () => {
+        view.pageSize = Number(sizeSelect.value);
+        view.page = 0;
+        render();
+      }
+    },
+    ...STATS_PAGE_SIZES.map(size => el('option', { value: String(size) }, `${size} rows`)),
+    el('option', { value: '0' }, 'Show all')
+  );
+  filterInput.value = view.filter;
+  sizeSelect.value = String(view.pageSize);
+
+  render();
+  wrap.append(el('div', { class: 'stats-table-tools' }, filterInput, sizeSelect), table, pager);
+  return wrap;
+}
+
+/**
+ * A table's rows as raw values for export: the league, roster (team name and
+ * owner) and player behind each row, then every column unformatted
+ * @param {{leagueId?: string, rows: Array}} table
+ * @param {Array} columns
+ * @returns {Array<Object>}
+ */
+function exportRows(table, columns) {
+  return table.rows.map(row => {
+    const leagueId = row.leagueId || table.leagueId || null;
+    const rosterId = row.rosterId != null ? row.rosterId : null;
+    const out = {
+      leagueId,
+      league: leagueId ? getLeagueName(leagueId) : 'All Leagues',
+      rosterId,
+      team: rosterId != null ? getTeamName(leagueId, rosterId) : null,
+      owner: rosterId != null ? getOwnerLabel(leagueId, rosterId) : null,
+      playerId: row.playerId || null
+    };
+    columns.forEach(col => {
+      // The bids table's "By" column is the team, already exported above
+      if (col.key === 'by') return;
+      out[col.key] = row[col.key];
+    });
+    return out;
+  });
+}
+
+function buildStatsCard(sectionTitle, table, columns) {
+  const card = el('div', { class: 'stats-card' });
+  card.append(
+    el(
+      'div',
+      { class: 'stats-card-title' },
+      table.title,
+      buildExportButtons(fileSlug(`${sectionTitle} ${table.title}`), () =>
+        exportRows(table, columns)
+      )
+    ),
+    buildStatsTable(columns, table.rows, `${sectionTitle}|${tableKey(table)}`)
+  );
+  return card;
+}
+
+// Too many tables for a card grid: show one at a time behind a selector
+function buildTableSelector(sectionTitle, tables, columns) {
+  const wrap = el('div', { class: 'stats-tabbed' });
+  const control = el('div', {
+    class: 'segmented-control stats-table-select'
+  });
+  const slot = el('div', {});
+
+  const show = index => {
+    selectedTables.set(sectionTitle, tableKey(tables[index]));
+    control
+      .querySelectorAll('.segment-btn')
+      .forEach((btn, i) => btn.classList.toggle('active', i === index));
+    slot.replaceChildren(buildStatsCard(sectionTitle, tables[index], columns));
+  };
+
+  tables.forEach((t, i) => {
+    control.append(
+      el('button', { class: 'segment-btn', onclick: () => show(i) }, t.title)
+    );
+  });
+  show(Math.max(0, tables.findIndex(t => tableKey(t) === selectedTables.get(sectionTitle))));
+
+  wrap.append(control, slot);
+  return wrap;
 }
 
 function createStatsSection(title, tables, columns) {
   const sec = el('section', { class: 'stats-section' });
   sec.append(el('h2', {}, title));
+  if (tables.length > MAX_GRID_TABLES) {
+    sec.append(buildTableSelector(title, tables, columns));
+    return sec;
+  }
   const grid = el('div', {
     class: 'stats-table-grid'
   });
   tables.forEach(t => {
-    const card = el('div', { class: 'stats-card' });
-    card.append(
-      el(
-        'div',
-        { class: 'stats-card-title' },
-        t.title
-      ),
-      buildStatsTable(columns, t.rows)
-    );
-    grid.append(card);
+    grid.append(buildStatsCard(title, t, columns));
   });
   sec.append(grid);
   return sec;
 }
 
+/**
+ * Tables for a section: 'All Leagues' first, then one per league
+ * With a single league the combined table would be a duplicate, so it's dropped
+ * @param {Array<string>} leagueIds - Leagues in display order
+ * @param {Array} combinedRows - Rows for the 'All Leagues' table
+ * @param {function(string): Array} rowsForLeague - Rows for one league
+ * @returns {Array<{title: string, leagueId?: string, rows: Array}>}
+ */
+function leagueTables(leagueIds, combinedRows, rowsForLeague) {
+  const perLeague = leagueIds.map(leagueId => ({
+    title: getLeagueName(leagueId),
+    leagueId,
+    rows: rowsForLeague(leagueId)
+  }));
+  if (leagueIds.length === 1) return perLeague;
+  return [{ title: 'All Leagues', rows: combinedRows }, ...perLeague];
+}
+
 function buildMostChoppedSection(
   playersAll,
+  leagueIds,
   statsByLeague,
   combined
 ) {
-  const league1Id = LEAGUE_IDS[0].id;
-  const league2Id = LEAGUE_IDS[1].id;
-  const tables = [
-    {
-      title: 'All Leagues',
-      rows: rowsFromChopsMap(combined.chops, playersAll)
-    },
-    {
-      title: getLeagueName(league1Id),
-      rows: rowsFromChopsMap(
-        statsByLeague[league1Id].chops,
-        playersAll
-      )
-    },
-    {
-      title: getLeagueName(league2Id),
-      rows: rowsFromChopsMap(
-        statsByLeague[league2Id].chops,
-        playersAll
-      )
-    }
-  ];
+  const tables = leagueTables(
+    leagueIds,
+    rowsFromChopsMap(combined.chops, playersAll),
+    leagueId =>
+      rowsFromChopsMap(statsByLeague[leagueId].chops, playersAll)
+  );
   const columns = [
     { key: 'player', label: 'Player', align: 'left' },
     { key: 'times', label: 'Times Chopped', align: 'right' }
@@ -272,39 +474,21 @@ function buildMostChoppedSection(
 
 function buildHighestSingleBidsSection(
   playersAll,
+  leagueIds,
   statsByLeague,
   combined
 ) {
-  const league1Id = LEAGUE_IDS[0].id;
-  const league2Id = LEAGUE_IDS[1].id;
-  const tables = [
-    {
-      title: 'All Leagues',
-      rows: rowsFromWinningBids(
-        combined.winningBids,
-        playersAll
-      )
-    },
-    {
-      title: getLeagueName(league1Id),
-      rows: rowsFromWinningBids(
-        statsByLeague[league1Id].winningBids,
-        playersAll
-      )
-    },
-    {
-      title: getLeagueName(league2Id),
-      rows: rowsFromWinningBids(
-        statsByLeague[league2Id].winningBids,
-        playersAll
-      )
-    }
-  ];
+  const tables = leagueTables(
+    leagueIds,
+    rowsFromWinningBids(combined.winningBids, playersAll),
+    leagueId =>
+      rowsFromWinningBids(statsByLeague[leagueId].winningBids, playersAll)
+  );
   const columns = [
     { key: 'player', label: 'Player', align: 'left' },
-    { key: 'bid', label: 'Bid', align: 'right' },
+    { key: 'bid', label: 'Bid', align: 'right', format: fmtFab },
     { key: 'by', label: 'By', align: 'left' },
-    { key: 'week', label: 'Week', align: 'right' }
+    { key: 'week', label: 'Week', align: 'right', format: w => (w != null ? w : '-') }
   ];
   return createStatsSection(
     'Highest Single Bids',
@@ -315,37 +499,19 @@ function buildHighestSingleBidsSection(
 
 function buildMostSpentSection(
   playersAll,
+  leagueIds,
   statsByLeague,
   combined
 ) {
-  const league1Id = LEAGUE_IDS[0].id;
-  const league2Id = LEAGUE_IDS[1].id;
-  const tables = [
-    {
-      title: 'All Leagues',
-      rows: rowsFromSpentMap(
-        combined.spent,
-        playersAll
-      )
-    },
-    {
-      title: getLeagueName(league1Id),
-      rows: rowsFromSpentMap(
-        statsByLeague[league1Id].spent,
-        playersAll
-      )
-    },
-    {
-      title: getLeagueName(league2Id),
-      rows: rowsFromSpentMap(
-        statsByLeague[league2Id].spent,
-        playersAll
-      )
-    }
-  ];
+  const tables = leagueTables(
+    leagueIds,
+    rowsFromSpentMap(combined.spent, playersAll),
+    leagueId =>
+      rowsFromSpentMap(statsByLeague[leagueId].spent, playersAll)
+  );
   const columns = [
     { key: 'player', label: 'Player', align: 'left' },
-    { key: 'total', label: 'Total Spent', align: 'right' },
+    { key: 'total', label: 'Total Spent', align: 'right', format: fmtFab },
     { key: 'times', label: 'Times Won', align: 'right' }
   ];
   return createStatsSection(
@@ -414,43 +580,37 @@ function computeHighScores(leagueId, matchups) {
 
 function rowsFromNarrowestEscapes(escapes) {
   const sorted = escapes.slice().sort((a, b) => a.gap - b.gap);
-  return sorted.slice(0, 10).map(e => ({
-    team: getOwnerLabel(e.leagueId, e.rosterId),
+  return sorted.map(e => ({
+    team: getTeamName(e.leagueId, e.rosterId),
     week: e.week,
-    gap: e.gap.toFixed(2) + ' pts'
+    gap: e.gap,
+    leagueId: e.leagueId,
+    rosterId: e.rosterId
   }));
 }
 
 function rowsFromHighScores(scores) {
   const sorted = scores.slice().sort((a, b) => b.points - a.points);
-  return sorted.slice(0, 10).map(s => ({
-    team: getOwnerLabel(s.leagueId, s.rosterId),
+  return sorted.map(s => ({
+    team: getTeamName(s.leagueId, s.rosterId),
     week: s.week,
-    points: s.points.toFixed(2)
+    points: s.points,
+    leagueId: s.leagueId,
+    rosterId: s.rosterId
   }));
 }
 
-function buildNarrowestEscapesSection(matchupsByLeague, combined) {
-  const league1Id = LEAGUE_IDS[0].id;
-  const league2Id = LEAGUE_IDS[1].id;
-  const tables = [
-    {
-      title: 'All Leagues',
-      rows: rowsFromNarrowestEscapes(combined.narrowestEscapes)
-    },
-    {
-      title: getLeagueName(league1Id),
-      rows: rowsFromNarrowestEscapes(matchupsByLeague[league1Id].narrowestEscapes)
-    },
-    {
-      title: getLeagueName(league2Id),
-      rows: rowsFromNarrowestEscapes(matchupsByLeague[league2Id].narrowestEscapes)
-    }
-  ];
+function buildNarrowestEscapesSection(leagueIds, matchupsByLeague, combined) {
+  const tables = leagueTables(
+    leagueIds,
+    rowsFromNarrowestEscapes(combined.narrowestEscapes),
+    leagueId =>
+      rowsFromNarrowestEscapes(matchupsByLeague[leagueId].narrowestEscapes)
+  );
   const columns = [
     { key: 'team', label: 'Team', align: 'left' },
     { key: 'week', label: 'Week', align: 'right' },
-    { key: 'gap', label: 'Points Gap', align: 'right' }
+    { key: 'gap', label: 'Points Gap', align: 'right', format: g => g.toFixed(2) + ' pts' }
   ];
   return createStatsSection(
     'Narrowest Escapes',
@@ -459,27 +619,16 @@ function buildNarrowestEscapesSection(matchupsByLeague, combined) {
   );
 }
 
-function buildHighScoresSection(matchupsByLeague, combined) {
-  const league1Id = LEAGUE_IDS[0].id;
-  const league2Id = LEAGUE_IDS[1].id;
-  const tables = [
-    {
-      title: 'All Leagues',
-      rows: rowsFromHighScores(combined.highScores)
-    },
-    {
-      title: getLeagueName(league1Id),
-      rows: rowsFromHighScores(matchupsByLeague[league1Id].highScores)
-    },
-    {
-      title: getLeagueName(league2Id),
-      rows: rowsFromHighScores(matchupsByLeague[league2Id].highScores)
-    }
-  ];
+function buildHighScoresSection(leagueIds, matchupsByLeague, combined) {
+  const tables = leagueTables(
+    leagueIds,
+    rowsFromHighScores(combined.highScores),
+    leagueId => rowsFromHighScores(matchupsByLeague[leagueId].highScores)
+  );
   const columns = [
     { key: 'team', label: 'Team', align: 'left' },
     { key: 'week', label: 'Week', align: 'right' },
-    { key: 'points', label: 'Points', align: 'right' }
+    { key: 'points', label: 'Points', align: 'right', format: p => p.toFixed(2) }
   ];
   return createStatsSection(
     'High Scores',
@@ -488,7 +637,542 @@ function buildHighScoresSection(matchupsByLeague, combined) {
   );
 }
 
-export async function loadStats() {
+/**
+ * What each winning bid returned: the player's `players_points` on the
+ * acquiring roster from the week they were won until the same team wins them
+ * again (so a re-signed player isn't counted twice). Bids won after the last
+ * scored week have nothing to show yet and are left out.
+ * @param {Array} winningBids - From computeLeagueStats()
+ * @param {Array} matchups - The league's season matchups, with `_week`
+ * @param {number} lastScoredWeek - Last completed week in the league's matchups
+ * @returns {Array<{playerId: string, bid: number, week: number, rosterId: number, leagueId: string,
+ *   points: number, startedPoints: number, starts: number, perDollar: number|null}>}
+ *   `perDollar` is started points per FAB dollar; null for $0 bids
+ */
+function computeBuyValues(winningBids, matchups, lastScoredWeek) {
+  return winningBids.filter(buy => buy.week != null && buy.week <= lastScoredWeek).map(buy => {
+    const nextWin = winningBids
+      .filter(b => b.playerId === buy.playerId && b.rosterId === buy.rosterId && b.week > buy.week)
+      .reduce((min, b) => Math.min(min, b.week), Infinity);
+
+    let points = 0;
+    let startedPoints = 0;
+    let starts = 0;
+    matchups.forEach(m => {
+      if (Number(m.roster_id) !== buy.rosterId) return;
+      if (m._week < buy.week || m._week >= nextWin) return;
+      if (!m.players_points || !(buy.playerId in m.players_points)) return;
+      if (m.players && !m.players.includes(buy.playerId)) return;
+      const pts = m.players_points[buy.playerId] || 0;
+      points += pts;
+      if ((m.starters || []).includes(buy.playerId)) {
+        startedPoints += pts;
+        starts += 1;
+      }
+    });
+
+    return {
+      ...buy,
+      points,
+      startedPoints,
+      starts,
+      perDollar: buy.bid > 0 ? startedPoints / buy.bid : null
+    };
+  });
+}
+
+// Orders for the buy tables: started points per dollar either way round
+// ($0 pickups have no per-dollar figure and are left out), or started points
+const BUY_ORDERS = {
+  best: { include: b => b.perDollar !== null, compare: (a, b) => b.perDollar - a.perDollar },
+  worst: { include: b => b.perDollar !== null, compare: (a, b) => a.perDollar - b.perDollar },
+  points: { include: () => true, compare: (a, b) => b.startedPoints - a.startedPoints }
+};
+
+function rowsFromBuyValues(buys, playersAll, order) {
+  const { include, compare } = BUY_ORDERS[order];
+  const sorted = buys.filter(include).sort(compare);
+  return sorted.map(b => ({
+    playerId: b.playerId,
+    player: getPlayerName(playersAll, b.playerId),
+    team: getTeamName(b.leagueId, b.rosterId),
+    bid: b.bid,
+    week: b.week,
+    startedPoints: b.startedPoints,
+    starts: b.starts,
+    points: b.points,
+    perDollar: b.perDollar,
+    leagueId: b.leagueId,
+    rosterId: b.rosterId
+  }));
+}
+
+/**
+ * One of the buy tables
+ * @param {string} title - Section title
+ * @param {'best'|'worst'|'points'} order - Key in BUY_ORDERS
+ */
+function buildBuysSection(title, order, playersAll, leagueIds, statsByLeague, combined) {
+  const tables = leagueTables(
+    leagueIds,
+    rowsFromBuyValues(combined.buys, playersAll, order),
+    leagueId => rowsFromBuyValues(statsByLeague[leagueId].buys, playersAll, order)
+  );
+  const pts = p => p.toFixed(2);
+  const columns = [
+    { key: 'player', label: 'Player', align: 'left' },
+    { key: 'team', label: 'Team', align: 'left' },
+    { key: 'bid', label: 'Bid', align: 'right', format: fmtFab },
+    { key: 'week', label: 'Week', align: 'right', format: w => (w != null ? w : '-') },
+    { key: 'startedPoints', label: 'Pts Started', align: 'right', format: pts },
+    { key: 'starts', label: 'Starts', align: 'right' },
+    { key: 'points', label: 'Pts Rostered', align: 'right', format: pts },
+    { key: 'perDollar', label: 'Started Pts / $', align: 'right', format: v => (v != null ? v.toFixed(2) : '-') }
+  ];
+  return createStatsSection(
+    title,
+    tables,
+    columns
+  );
+}
+
+/**
+ * Waiver contests: a player won on waivers in a run that other teams also
+ * claimed in. Failed claims carry the losing bids; each joins the winning
+ * claim for the same player and week processed closest to it, within
+ * WAIVER_RUN_WINDOW_MS, so a player won, dropped and claimed again later in
+ * the week is two contests. Failed claims with no winner in their run failed
+ * for some other reason (roster limits, a drop that was no longer there) and
+ * are left out.
+ * @param {string} leagueId - Sleeper league ID
+ * @param {Array} transactions - League transactions with `_week`
+ * @param {function(string): boolean} [includePlayer]
+ * @returns {Array<{leagueId: string, playerId: string, week: number, winner: {rosterId: number, bid: number},
+ *   losers: Array<{rosterId: number, bid: number}>, overpay: number}>} `overpay` is
+ *   the winning bid less the highest losing bid
+ */
+function computeBiddingWars(leagueId, transactions, includePlayer = () => true) {
+  const won = [];
+  const failed = [];
+
+  transactions.forEach(tx => {
+    if (tx.type !== 'waiver' || !tx.adds) return;
+    if (tx.status !== 'complete' && tx.status !== 'failed') return;
+    const bid = Number((tx.settings && tx.settings.waiver_bid) || 0);
+    const week = tx._week || null;
+    const processedAt = tx.status_updated || tx.created || 0;
+
+    Object.keys(tx.adds).filter(includePlayer).forEach(pid => {
+      const claim = { playerId: pid, week, processedAt, rosterId: Number(tx.adds[pid]), bid };
+      (tx.status === 'complete' ? won : failed).push(claim);
+    });
+  });
+
+  const contests = won.map(winner => ({ winner, losers: [] }));
+  failed.forEach(claim => {
+    let closest = null;
+    let closestGap = Infinity;
+    contests.forEach(contest => {
+      const { winner } = contest;
+      if (winner.playerId !== claim.playerId || winner.week !== claim.week) return;
+      if (winner.rosterId === claim.rosterId) return;
+      const gap = Math.abs(winner.processedAt - claim.processedAt);
+      if (gap <= WAIVER_RUN_WINDOW_MS && gap < closestGap) {
+        closest = contest;
+        closestGap = gap;
+      }
+    });
+    if (closest) closest.losers.push(claim);
+  });
+
+  return contests
+    .filter(({ losers }) => losers.length)
+    .map(({ winner, losers }) => {
+      losers.sort((a, b) => b.bid - a.bid);
+      return {
+        leagueId,
+        playerId: winner.playerId,
+        week: winner.week,
+        winner,
+        losers,
+        overpay: winner.bid - losers[0].bid
+      };
+    });
+}
+
+function rowsFromBiddingWars(wars, playersAll) {
+  const sorted = wars.slice().sort((a, b) => b.overpay - a.overpay);
+  return sorted.map(w => ({
+    playerId: w.playerId,
+    player: getPlayerName(playersAll, w.playerId),
+    week: w.week,
+    team: getTeamName(w.leagueId, w.winner.rosterId),
+    bid: w.winner.bid,
+    runnerUp: w.losers[0].bid,
+    overpay: w.overpay,
+    bids: [w.winner, ...w.losers]
+      .map(c => `${getTeamName(w.leagueId, c.rosterId)} ${fmtFab(c.bid)}`)
+      .join(', '),
+    leagueId: w.leagueId,
+    rosterId: w.winner.rosterId
+  }));
+}
+
+// One row per team that lost a contested bid, most losses first
+function rowsFromOutbid(wars, includeTeam = () => true) {
+  const byTeam = new Map();
+  wars.forEach(w => {
+    w.losers.filter(c => includeTeam(w.leagueId, c.rosterId)).forEach(c => {
+      const key = `${w.leagueId}:${c.rosterId}`;
+      const rec = byTeam.get(key) || {
+        leagueId: w.leagueId,
+        rosterId: c.rosterId,
+        lost: 0,
+        lostFab: 0,
+        closest: null
+      };
+      const shortBy = w.winner.bid - c.bid;
+      rec.lost += 1;
+      rec.lostFab += c.bid;
+      rec.closest = rec.closest == null ? shortBy : Math.min(rec.closest, shortBy);
+      byTeam.set(key, rec);
+    });
+  });
+  return Array.from(byTeam.values())
+    .sort((a, b) => b.lost - a.lost || b.lostFab - a.lostFab)
+    .map(rec => ({
+      team: getTeamName(rec.leagueId, rec.rosterId),
+      lost: rec.lost,
+      lostFab: rec.lostFab,
+      closest: rec.closest,
+      leagueId: rec.leagueId,
+      rosterId: rec.rosterId
+    }));
+}
+
+function buildBiddingWarsSection(playersAll, leagueIds, statsByLeague, combined) {
+  const tables = leagueTables(
+    leagueIds,
+    rowsFromBiddingWars(combined.biddingWars, playersAll),
+    leagueId => rowsFromBiddingWars(statsByLeague[leagueId].biddingWars, playersAll)
+  );
+  const columns = [
+    { key: 'player', label: 'Player', align: 'left' },
+    { key: 'week', label: 'Week', align: 'right', format: w => (w != null ? w : '-') },
+    { key: 'team', label: 'Winner', align: 'left' },
+    { key: 'bid', label: 'Winning Bid', align: 'right', format: fmtFab },
+    { key: 'runnerUp', label: 'Next Bid', align: 'right', format: fmtFab },
+    { key: 'overpay', label: 'Overpay', align: 'right', format: fmtFab },
+    { key: 'bids', label: 'All Bids', align: 'left' }
+  ];
+  return createStatsSection(
+    'Bidding Wars',
+    tables,
+    columns
+  );
+}
+
+function buildMostOutbidSection(leagueIds, statsByLeague, combined) {
+  // Contests include every bidder; only count losses for teams in the filter
+  const includeTeam = (leagueId, rosterId) =>
+    teamMatches(statsData.leagues.find(l => l.leagueId === leagueId).rosters, rosterId);
+  const tables = leagueTables(
+    leagueIds,
+    rowsFromOutbid(combined.biddingWars, includeTeam),
+    leagueId => rowsFromOutbid(statsByLeague[leagueId].biddingWars, includeTeam)
+  );
+  const columns = [
+    { key: 'team', label: 'Team', align: 'left' },
+    { key: 'lost', label: 'Bids Lost', align: 'right' },
+    { key: 'lostFab', label: 'FAB in Lost Bids', align: 'right', format: fmtFab },
+    { key: 'closest', label: 'Closest Miss', align: 'right', format: fmtFab }
+  ];
+  return createStatsSection(
+    'Most Outbid',
+    tables,
+    columns
+  );
+}
+
+function isChopped(roster) {
+  return !!roster && eliminatedWeek(roster) !== null;
+}
+
+function inWeekRange(week) {
+  const { fromWeek, toWeek } = statsFilters;
+  if (week == null) return true;
+  return (fromWeek == null || week >= fromWeek) && (toWeek == null || week <= toWeek);
+}
+
+// True if the roster passes the surviving/chopped filter
+function teamMatches(rosters, rosterId) {
+  if (statsFilters.teams === 'all') return true;
+  const roster = rosters.find(r => Number(r.roster_id) === Number(rosterId));
+  return statsFilters.teams === 'chopped' ? isChopped(roster) : !isChopped(roster);
+}
+
+function playerMatches(playersAll, playerId) {
+  if (statsFilters.position === 'all') return true;
+  const p = playersAll && playersAll[playerId];
+  return !!p && p.position === statsFilters.position;
+}
+
+// Last week with any data, for the week range
+function lastDataWeek() {
+  let last = 1;
+  statsData.leagues.forEach(({ transactions, matchups }) => {
+    transactions.forEach(tx => { last = Math.max(last, tx._week || 1); });
+    matchups.forEach(m => { last = Math.max(last, m._week || 1); });
+  });
+  return last;
+}
+
+// Positions of the players in the loaded transactions, in POSITION_COLORS order
+function positionsInData() {
+  const { playersAll } = statsData;
+  const seen = new Set();
+  statsData.leagues.forEach(({ transactions }) => {
+    transactions.forEach(tx => {
+      Object.keys({ ...tx.adds, ...tx.drops }).forEach(pid => {
+        const p = playersAll[pid];
+        if (p && p.position) seen.add(p.position);
+      });
+    });
+  });
+  const order = Object.keys(POSITION_COLORS);
+  return [...seen].sort((a, b) => {
+    const ai = order.indexOf(a);
+    const bi = order.indexOf(b);
+    return (ai === -1 ? order.length : ai) - (bi === -1 ? order.length : bi) || a.localeCompare(b);
+  });
+}
+
+function buildWeekRange(onChange) {
+  const maxWeek = lastDataWeek();
+  const from = el('input', { class: 'week-range-input', type: 'range', min: '1', max: String(maxWeek), 'aria-label': 'From week' });
+  const to = el('input', { class: 'week-range-input', type: 'range', min: '1', max: String(maxWeek), 'aria-label': 'To week' });
+  const label = el('span', { class: 'week-range-label' });
+  from.value = String(statsFilters.fromWeek || 1);
+  to.value = String(Math.min(statsFilters.toWeek || maxWeek, maxWeek));
+
+  const sync = moved => {
+    // Dragging one handle past the other pushes it along
+    if (Number(from.value) > Number(to.value)) {
+      if (moved === from) to.value = from.value;
+      else from.value = to.value;
+    }
+    const fromWeek = Number(from.value);
+    const toWeek = Number(to.value);
+    label.textContent = fromWeek === toWeek ? `Week ${fromWeek}` : `Weeks ${fromWeek}–${toWeek}`;
+    statsFilters.fromWeek = fromWeek === 1 ? null : fromWeek;
+    statsFilters.toWeek = toWeek === maxWeek ? null : toWeek;
+  };
+  sync(from);
+
+  [from, to].forEach(input => {
+    input.addEventListener('input', () => sync(input));
+    // Recompute once the handle is let go, not on every step
+    input.addEventListener('change', onChange);
+  });
+  return el('div', { class: 'week-range' }, label, from, to);
+}
+
+function buildSegmented(options, current, onSelect) {
+  const control = el('div', { class: 'segmented-control' });
+  options.forEach(([value, text]) => {
+    control.append(
+      el(
+        'button',
+        {
+          class: 'segment-btn' + (value === current ? ' active' : ''),
+          type: 'button',
+          onclick: () => {
+            control
+              .querySelectorAll('.segment-btn')
+              .forEach((btn, i) => btn.classList.toggle('active', options[i][0] === value));
+            onSelect(value);
+          }
+        },
+        text
+      )
+    );
+  });
+  return control;
+}
+
+function buildStatsToolbar(onChange) {
+  const positionSelect = el(
+    'select',
+    {
+      class: 'text-input stats-position',
+      'aria-label': 'Position',
+      onchange: () => {
+        statsFilters.position = positionSelect.value;
+        onChange();
+      }
+    },
+    el('option', { value: 'all' }, 'All positions'),
+    ...positionsInData().map(pos => el('option', { value: pos }, pos))
+  );
+  positionSelect.value = statsFilters.position;
+
+  return el(
+    'div',
+    { class: 'stats-toolbar' },
+    buildWeekRange(onChange),
+    positionSelect,
+    buildSegmented(
+      [['all', 'All teams'], ['surviving', 'Surviving'], ['chopped', 'Chopped']],
+      statsFilters.teams,
+      value => {
+        statsFilters.teams = value;
+        onChange();
+      }
+    ),
+    el('span', { class: 'muted stats-toolbar-note' }, 'Position applies to player tables')
+  );
+}
+
+/**
+ * Aggregates the loaded data under the current filters into the stat sections
+ * @returns {Array<HTMLElement>}
+ */
+function buildStatsSections() {
+  const { playersAll, leagues } = statsData;
+  const statsByLeague = {};
+  const matchupsByLeague = {};
+  const combined = {
+    chops: new Map(),
+    spent: new Map(),
+    winningBids: [],
+    buys: [],
+    biddingWars: [],
+    narrowestEscapes: [],
+    highScores: []
+  };
+
+  leagues.forEach(({ leagueId, transactions, matchups, rosters }) => {
+    const txs = transactions.filter(
+      tx => inWeekRange(tx._week) && (tx.roster_ids || []).some(rid => teamMatches(rosters, rid))
+    );
+    const leagueStats = computeLeagueStats(
+      leagueId,
+      txs,
+      pid => playerMatches(playersAll, pid)
+    );
+    statsByLeague[leagueId] = leagueStats;
+
+    leagueStats.chops.forEach(
+      (count, playerId) => {
+        combined.chops.set(
+          playerId,
+          (combined.chops.get(playerId) || 0) + count
+        );
+      }
+    );
+
+    leagueStats.spent.forEach(
+      (rec, playerId) => {
+        const cur =
+          combined.spent.get(playerId) || {
+            total: 0,
+            count: 0
+          };
+        cur.total += rec.total;
+        cur.count += rec.count;
+        combined.spent.set(playerId, cur);
+      }
+    );
+
+    combined.winningBids.push(
+      ...leagueStats.winningBids
+    );
+
+    // Escapes need the whole field each week; the team filter applies to
+    // who escaped or scored, after the fact
+    const weekMatchups = matchups.filter(m => inWeekRange(m._week));
+
+    const lastScoredWeek = matchups.reduce((last, m) => Math.max(last, m._week || 0), 0);
+    leagueStats.buys = computeBuyValues(leagueStats.winningBids, weekMatchups, lastScoredWeek);
+    combined.buys.push(...leagueStats.buys);
+    const narrowestEscapes = computeNarrowestEscapes(leagueId, weekMatchups).filter(e =>
+      teamMatches(rosters, e.rosterId)
+    );
+    const highScores = computeHighScores(leagueId, weekMatchups).filter(s =>
+      teamMatches(rosters, s.rosterId)
+    );
+
+    // Like escapes, contests are worked out over every team's claims and kept
+    // if a matching team took part
+    leagueStats.biddingWars = computeBiddingWars(
+      leagueId,
+      transactions.filter(tx => inWeekRange(tx._week)),
+      pid => playerMatches(playersAll, pid)
+    ).filter(w => [w.winner, ...w.losers].some(c => teamMatches(rosters, c.rosterId)));
+
+    matchupsByLeague[leagueId] = {
+      narrowestEscapes,
+      highScores
+    };
+
+    combined.narrowestEscapes.push(...narrowestEscapes);
+    combined.highScores.push(...highScores);
+    combined.biddingWars.push(...leagueStats.biddingWars);
+  });
+
+  const leagueIds = leagues.map(l => l.leagueId);
+  return [
+    buildMostChoppedSection(
+      playersAll,
+      leagueIds,
+      statsByLeague,
+      combined
+    ),
+    buildHighestSingleBidsSection(
+      playersAll,
+      leagueIds,
+      statsByLeague,
+      combined
+    ),
+    buildMostSpentSection(
+      playersAll,
+      leagueIds,
+      statsByLeague,
+      combined
+    ),
+    buildBuysSection('Best Buys', 'best', playersAll, leagueIds, statsByLeague, combined),
+    buildBuysSection('Worst Buys', 'worst', playersAll, leagueIds, statsByLeague, combined),
+    buildBuysSection('Most Points from Buys', 'points', playersAll, leagueIds, statsByLeague, combined),
+    buildBiddingWarsSection(
+      playersAll,
+      leagueIds,
+      statsByLeague,
+      combined
+    ),
+    buildMostOutbidSection(
+      leagueIds,
+      statsByLeague,
+      combined
+    ),
+    buildNarrowestEscapesSection(
+      leagueIds,
+      matchupsByLeague,
+      combined
+    ),
+    buildHighScoresSection(
+      leagueIds,
+      matchupsByLeague,
+      combined
+    )
+  ];
+}
+
+/**
+ * Loads transactions and matchups for every league and renders the Stats tab
+ * Toolbar changes recompute from the loaded data without refetching.
+ * @param {AbortSignal} [signal] - Aborted when the user leaves the tab mid-load
+ */
+export async function loadStats(signal) {
   const container = document.getElementById('stats-content');
   container.replaceChildren(
     el(
@@ -499,92 +1183,53 @@ export async function loadStats() {
   );
 
   try {
-    const playersAll = await api.playersAllNFL();
-    const statsByLeague = {};
-    const matchupsByLeague = {};
-    const combined = {
-      chops: new Map(),
-      spent: new Map(),
-      winningBids: [],
-      narrowestEscapes: [],
-      highScores: []
-    };
-
-    for (const cfg of LEAGUE_IDS) {
-      const txs = await fetchLeagueTransactions(cfg.id);
-      const leagueStats = computeLeagueStats(
-        cfg.id,
-        txs
-      );
-      statsByLeague[cfg.id] = leagueStats;
-
-      leagueStats.chops.forEach(
-        (count, playerId) => {
-          combined.chops.set(
-            playerId,
-            (combined.chops.get(playerId) || 0) + count
-          );
-        }
-      );
-
-      leagueStats.spent.forEach(
-        (rec, playerId) => {
-          const cur =
-            combined.spent.get(playerId) || {
-              total: 0,
-              count: 0
-            };
-          cur.total += rec.total;
-          cur.count += rec.count;
-          combined.spent.set(playerId, cur);
-        }
-      );
-
-      combined.winningBids.push(
-        ...leagueStats.winningBids
+    // Fetch every league in parallel, then aggregate in league order
+    // Season matchups are completed weeks only, so the week in progress
+    // never shows up as a narrow escape or a low high score
+    const leagueConfigs = getLeagueConfigs();
+    if (leagueConfigs.length === 0) {
+      container.replaceChildren(
+        el(
+          'div',
+          { class: 'empty' },
+          'No leagues configured. Add one in the Leagues tab.'
+        )
       );
-      
-      // Fetch and compute matchup stats
-      const matchups = await fetchLeagueMatchups(cfg.id);
-      const narrowestEscapes = computeNarrowestEscapes(cfg.id, matchups);
-      const highScores = computeHighScores(cfg.id, matchups);
-      
-      matchupsByLeague[cfg.id] = {
-        narrowestEscapes,
-        highScores
-      };
-      
-      combined.narrowestEscapes.push(...narrowestEscapes);
-      combined.highScores.push(...highScores);
+      return;
     }
 
-    const sections = [
-      buildMostChoppedSection(
-        playersAll,
-        statsByLeague,
-        combined
-      ),
-      buildHighestSingleBidsSection(
-        playersAll,
-        statsByLeague,
-        combined
-      ),
-      buildMostSpentSection(
-        playersAll,
-        statsByLeague,
-        combined
-      ),
-      buildNarrowestEscapesSection(
-        matchupsByLeague,
-        combined
-      ),
-      buildHighScoresSection(
-        matchupsByLeague,
-        combined
+    const [playersAll, loaded] = await Promise.all([
+      getPlayers(),
+      Promise.all(
+        leagueConfigs.map(cfg =>
+          Promise.all([
+            getTransactions(cfg.id, { signal }),
+            getSeasonMatchups(cfg.id, { signal }),
+            getRosters(cfg.id, { signal })
+          ])
+        )
       )
-    ];
-    container.replaceChildren(...sections);
+    ]);
+
+    statsData = {
+      playersAll,
+      leagues: leagueConfigs.map((cfg, i) => {
+        const [transactions, matchups, rosters] = loaded[i];
+        return { leagueId: cfg.id, transactions, matchups, rosters };
+      })
+    };
+    // Weeks past the loaded data (e.g. from a previous season) don't apply
+    const maxWeek = lastDataWeek();
+    if (statsFilters.fromWeek > maxWeek) statsFilters.fromWeek = null;
+    if (statsFilters.toWeek >= maxWeek) statsFilters.toWeek = null;
+
+    const sections = el('div', { class: 'stats-sections' });
+    const rerender = () => sections.replaceChildren(...buildStatsSections());
+    rerender();
+    container.replaceChildren(buildStatsToolbar(rerender), sections);
   } catch (err) {
+    // Left mid-load; the tab starts over on the next visit
+    if (isAbortError(err)) return;
     container.replaceChildren(
       el(
         'div',
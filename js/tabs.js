@@ -2,12 +2,63 @@
 import { state } from './cache.js';
 import { loadStats } from './statsView.js';
 import { loadFABSpending } from './fabSpendingView.js';
+import { loadManageLeagues } from './manageLeaguesView.js';
+import { loadLineupAudit } from './lineupAuditView.js';
+import { loadPlayerSearch } from './playerSearchView.js';
+import { loadCompare } from './compareView.js';
+import { updateRoute } from './router.js';
 
+// Primary tab -> its view element
+const tabViews = {
+  teams: 'teams-view',
+  'fab-spending': 'fab-spending-view',
+  stats: 'stats-view',
+  lineups: 'lineups-view',
+  players: 'players-view',
+  compare: 'compare-view',
+  leagues: 'leagues-view'
+};
+
+// Tabs that fetch their data the first time they are opened
+const lazyTabs = {
+  'fab-spending': { loadedFlag: 'fabSpendingLoaded', load: loadFABSpending },
+  stats: { loadedFlag: 'statsLoaded', load: loadStats },
+  lineups: { loadedFlag: 'lineupsLoaded', load: loadLineupAudit },
+  players: { loadedFlag: 'playerSearchLoaded', load: loadPlayerSearch },
+  compare: { loadedFlag: 'compareLoaded', load: loadCompare }
+};
+
+// The lazy tab load still in flight, so leaving the tab can cancel it
+let pendingLoad = null; // { tab, controller }
+
+function cancelPendingLoad() {
+  if (!pendingLoad) return;
+  pendingLoad.controller.abort();
+  // Not loaded after all - load again on the next visit
+  state[lazyTabs[pendingLoad.tab].loadedFlag] = false;
+  pendingLoad = null;
+}
+
+function startLazyLoad(tab) {
+  const lazy = lazyTabs[tab];
+  const controller = new AbortController();
+  pendingLoad = { tab, controller };
+  state[lazy.loadedFlag] = true;
+  lazy.load(controller.signal).finally(() => {
+    if (pendingLoad && pendingLoad.controller === controller) {
+      pendingLoad = null;
+    }
+  });
+}
+
+/**
+ * Shows a primary tab and records it in the URL
+ * @param {string} tab - Key of tabViews; anything else shows Teams
+ */
 export function setPrimaryTab(tab) {
+  if (!tabViews[tab]) tab = 'teams';
   state.activePrimaryTab = tab;
-  const teamsView = document.getElementById('teams-view');
-  const fabSpendingView = document.getElementById('fab-spending-view');
-  const statsView = document.getElementById('stats-view');
+  updateRoute({ tab });
 
   document
     .querySelectorAll('.primary-tab')
@@ -18,20 +69,20 @@ export function setPrimaryTab(tab) {
       );
     });
 
-  teamsView.style.display =
-    tab === 'teams' ? '' : 'none';
-  fabSpendingView.style.display =
-    tab === 'fab-spending' ? '' : 'none';
-  statsView.style.display =
-    tab === 'stats' ? '' : 'none';
+  Object.entries(tabViews).forEach(([viewTab, viewId]) => {
+    document.getElementById(viewId).style.display =
+      viewTab === tab ? '' : 'none';
+  });
+
+  if (pendingLoad && pendingLoad.tab !== tab) {
+    cancelPendingLoad();
+  }
 
-  if (tab === 'fab-spending' && !state.fabSpendingLoaded) {
-    state.fabSpendingLoaded = true;
-    loadFABSpending();
+  if (lazyTabs[tab] && !state[lazyTabs[tab].loadedFlag]) {
+    startLazyLoad(tab);
   }
 
-  if (tab === 'stats' && !state.statsLoaded) {
-    state.statsLoaded = true;
-    loadStats();
+  if (tab === 'leagues') {
+    loadManageLeagues();
   }
 }
@@ -0,0 +1,192 @@
+// js/teamMoves.js
+// "Moves" card for the team detail view: every waiver win, free-agent add,
+// drop, trade and failed bid for one roster, by week, with a running total of
+// FAB used that should end up equal to the roster's settings.waiver_budget_used.
+
+import { getTransactions } from './leagueData.js';
+import { el, fmtFab } from './dom.js';
+import { getPlayerName, getTeamName } from './names.js';
+
+// Player IDs in an adds/drops map that belong to the roster
+function playersFor(map, rosterId) {
+  return Object.entries(map || {})
+    .filter(([, rid]) => Number(rid) === rosterId)
+    .map(([playerId]) => playerId);
+}
+
+function txTime(tx) {
+  return tx.status_updated || tx.created || 0;
+}
+
+/**
+ * One roster's moves in season order
+ * @param {Array} transactions - League transactions with `_week`
+ * @param {number} rosterId - Roster to collect moves for
+ * @param {Object} playersAll - Player directory, for names
+ * @param {string} leagueId - For trade partner names
+ * @returns {Array<{week: number, kind: string, text: string, amount: number|null, fabDelta: number}>}
+ *   `amount` is the bid (waivers) or net FAB received (trades); `fabDelta` is
+ *   the change in FAB used (bids won, FAB traded away or received)
+ */
+export function computeTeamMoves(transactions, rosterId, playersAll, leagueId) {
+  const names = ids => ids.map(id => getPlayerName(playersAll, id)).join(', ');
+  const moves = [];
+
+  transactions
+    .filter(tx => (tx.roster_ids || []).some(rid => Number(rid) === rosterId))
+    .sort((a, b) => a._week - b._week || txTime(a) - txTime(b))
+    .forEach(tx => {
+      const week = tx._week;
+      const added = playersFor(tx.adds, rosterId);
+      const dropped = playersFor(tx.drops, rosterId);
+      const bid = Number((tx.settings && tx.settings.waiver_bid) || 0);
+      const dropText = dropped.length ? `, dropped ${names(dropped)}` : '';
+
+      if (tx.type === 'waiver' && tx.status === 'failed') {
+        if (added.length) {
+          moves.push({ week, kind: 'failed', text: `Lost bid on ${names(added)}`, amount: bid, fabDelta: 0 });
+        }
+      } else if (tx.status !== 'complete') {
+        // pending or vetoed - nothing happened
+      } else if (tx.type === 'waiver') {
+        moves.push({
+          week,
+          kind: 'waiver',
+          text: added.length ? `Won ${names(added)}${dropText}` : `Dropped ${names(dropped)}`,
+          amount: bid,
+          fabDelta: bid
+        });
+      } else if (tx.type === 'free_agent') {
+        moves.push({
+          week,
+          kind: added.length ? 'free_agent' : 'drop',
+          text: added.length ? `Added ${names(added)}${dropText}` : `Dropped ${names(dropped)}`,
+          amount: null,
+          fabDelta: 0
+        });
+      } else if (tx.type === 'trade') {
+        const partners = (tx.roster_ids || [])
+          .filter(rid => Number(rid) !== rosterId)
+          .map(rid => getTeamName(leagueId, rid));
+        // FAB sent counts as used, FAB received gives budget back
+        let fabDelta = 0;
+        (tx.waiver_budget || []).forEach(t => {
+          if (Number(t.sender) === rosterId) fabDelta += Number(t.amount) || 0;
+          if (Number(t.receiver) === rosterId) fabDelta -= Number(t.amount) || 0;
+        });
+        const parts = [];
+        if (added.length) parts.push(`got ${names(added)}`);
+        if (dropped.length) parts.push(`sent ${names(dropped)}`);
+        if (fabDelta > 0) parts.push(`sent ${fmtFab(fabDelta)} FAB`);
+        if (fabDelta < 0) parts.push(`got ${fmtFab(-fabDelta)} FAB`);
+        moves.push({
+          week,
+          kind: 'trade',
+          text: `Trade with ${partners.join(', ') || 'unknown'}: ${parts.join(', ') || 'no assets'}`,
+          amount: fabDelta ? -fabDelta : null,
+          fabDelta
+        });
+      } else if (tx.type === 'chopped') {
+        moves.push({
+          week,
+          kind: 'chopped',
+          text: `Chopped, ${dropped.length} player${dropped.length === 1 ? '' : 's'} released`,
+          amount: null,
+          fabDelta: 0
+        });
+      }
+    });
+
+  return moves;
+}
+
+const KIND_LABELS = {
+  waiver: 'Waiver',
+  free_agent: 'FA',
+  drop: 'Drop',
+  trade: 'Trade',
+  failed: 'Lost bid',
+  chopped: 'Chopped'
+};
+
+// Bid for waivers; FAB gained (+) or given up (-) for trades
+function amountText(move) {
+  if (move.amount === null) return '';
+  if (move.kind === 'trade') {
+    return `${move.amount > 0 ? '+' : '-'}${fmtFab(Math.abs(move.amount))}`;
+  }
+  return fmtFab(move.amount);
+}
+
+function buildMovesList(moves, roster) {
+  const list = el('div', { class: 'moves' });
+  let used = 0;
+  let lastWeek = null;
+
+  moves.forEach(move => {
+    if (move.week !== lastWeek) {
+      list.append(el('div', { class: 'moves-week' }, `Week ${move.week}`));
+      lastWeek = move.week;
+    }
+    used += move.fabDelta;
+    list.append(
+      el(
+        'div',
+        { class: `move move-${move.kind}` },
+        el('span', { class: 'badge move-kind' }, KIND_LABELS[move.kind]),
+        el('div', { class: 'move-text' }, move.text),
+        el('div', { class: 'move-amount' }, amountText(move)),
+        el('div', { class: 'move-used muted', title: 'FAB used so far' }, fmtFab(used))
+      )
+    );
+  });
+
+  const reported = Number((roster.settings && roster.settings.waiver_budget_used) || 0);
+  const diff = reported - used;
+  list.append(
+    el(
+      'div',
+      { class: 'moves-total' + (diff === 0 ? '' : ' moves-mismatch') },
+      `FAB used: ${fmtFab(used)}` +
+        (diff === 0
+          ? ` • matches Sleeper`
+          : ` • Sleeper reports ${fmtFab(reported)} (${diff > 0 ? '+' : '-'}${fmtFab(Math.abs(diff))})`)
+    )
+  );
+  return list;
+}
+
+/**
+ * Moves card for a team; fills in once the league's transactions are loaded
+ * @param {string} leagueId - Sleeper league ID
+ * @param {Object} roster - Roster object
+ * @param {Object} playersAll - Player directory
+ * @returns {HTMLElement}
+ */
+export function buildMovesCard(leagueId, roster, playersAll) {
+  const card = el(
+    'div',
+    { class: 'card' },
+    el('h3', {}, 'Moves'),
+    el('div', { class: 'loading' }, 'Loading transactions...')
+  );
+
+  getTransactions(leagueId)
+    .then(transactions => {
+      const moves = computeTeamMoves(transactions, Number(roster.roster_id), playersAll, leagueId);
+      card.replaceChildren(
+        el('h3', {}, 'Moves'),
+        moves.length
+          ? buildMovesList(moves, roster)
+          : el('div', { class: 'empty' }, 'No moves yet.')
+      );
+    })
+    .catch(err => {
+      card.replaceChildren(
+        el('h3', {}, 'Moves'),
+        el('div', { class: 'err' }, `Could not load transactions. ${err.message}`)
+      );
+    });
+
+  return card;
+}
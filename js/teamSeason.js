@@ -0,0 +1,177 @@
+// js/teamSeason.js
+// "Season" card for the team detail view: the team's score in each completed
+// week, where it ranked among the teams still alive, and how far it finished
+// above that week's chopped team, as a sparkline plus a table.
+
+import { getSeasonMatchups, lastCompletedWeek, eliminatedWeek } from './leagueData.js';
+import { el, svgNode } from './dom.js';
+
+const SPARK_WIDTH = 320;
+const SPARK_HEIGHT = 64;
+const SPARK_PAD = 6;
+
+/**
+ * One team's weekly results against the surviving field
+ * @param {Array} matchups - League matchups with `_week`
+ * @param {number} rosterId - Roster to follow
+ * @returns {Array<{week: number, points: number, rank: number, survivors: number, chopPoints: number, margin: number, chopped: boolean}>}
+ *   `margin` is points above the lowest survivor; for the week the team was
+ *   chopped it is the (negative) gap to the next-lowest team
+ */
+export function computeWeeklyHistory(matchups, rosterId) {
+  const weekMap = new Map();
+  matchups.forEach(m => {
+    // Eliminated teams have players: null
+    if (m.players === null) return;
+    if (!weekMap.has(m._week)) weekMap.set(m._week, []);
+    weekMap.get(m._week).push(m);
+  });
+
+  const history = [];
+  [...weekMap.keys()].sort((a, b) => a - b).forEach(week => {
+    const teams = weekMap.get(week);
+    const own = teams.find(m => Number(m.roster_id) === rosterId);
+    if (!own) return;
+
+    const sorted = teams.slice().sort((a, b) => (b.points || 0) - (a.points || 0));
+    const points = own.points || 0;
+    const lowest = sorted[sorted.length - 1];
+    const chopped = teams.length > 1 && lowest === own;
+    const chopPoints = lowest.points || 0;
+    const nextLowest = sorted[sorted.length - 2];
+
+    history.push({
+      week,
+      points,
+      rank: sorted.indexOf(own) + 1,
+      survivors: teams.length,
+      chopPoints,
+      margin: chopped ? points - (nextLowest.points || 0) : points - chopPoints,
+      chopped
+    });
+  });
+  return history;
+}
+
+// Team score (solid) against the chopped team's score (dashed), week by week
+function buildSparkline(history) {
+  const values = history.flatMap(h => [h.points, h.chopPoints]);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const span = max - min || 1;
+  const x = i =>
+    history.length === 1
+      ? SPARK_WIDTH / 2
+      : SPARK_PAD + (i / (history.length - 1)) * (SPARK_WIDTH - SPARK_PAD * 2);
+  const y = v => SPARK_HEIGHT - SPARK_PAD - ((v - min) / span) * (SPARK_HEIGHT - SPARK_PAD * 2);
+  const points = key => history.map((h, i) => `${x(i)},${y(h[key])}`).join(' ');
+
+  const svg = svgNode('svg', {
+    class: 'season-spark',
+    viewBox: `0 0 ${SPARK_WIDTH} ${SPARK_HEIGHT}`,
+    preserveAspectRatio: 'none',
+    role: 'img',
+    'aria-label': 'Weekly score against the chopped team'
+  });
+  svg.append(
+    svgNode('polyline', { class: 'season-spark-chop', points: points('chopPoints') }),
+    svgNode('polyline', { class: 'season-spark-line', points: points('points') })
+  );
+  history.forEach((h, i) => {
+    const dot = svgNode('circle', {
+      class: 'season-spark-dot' + (h.chopped ? ' chopped' : ''),
+      cx: x(i),
+      cy: y(h.points),
+      r: 3
+    });
+    const title = svgNode('title', {});
+    title.textContent = `Week ${h.week}: ${h.points.toFixed(2)} pts`;
+    dot.append(title);
+    svg.append(dot);
+  });
+  return svg;
+}
+
+function formatMargin(h) {
+  if (h.chopped) return `Chopped (${h.margin.toFixed(2)})`;
+  return `+${h.margin.toFixed(2)}`;
+}
+
+function buildHistoryTable(history, selectedWeek) {
+  return el(
+    'table',
+    { class: 'stats-table season-table' },
+    el(
+      'thead',
+      {},
+      el('tr', {}, el('th', {}, 'Week'), el('th', {}, 'Pts'), el('th', {}, 'Rank'), el('th', {}, 'Above chop'))
+    ),
+    el(
+      'tbody',
+      {},
+      ...history.map(h =>
+        el(
+          'tr',
+          {
+            class:
+              (h.week === selectedWeek ? 'selected' : '') + (h.chopped ? ' chopped' : '')
+          },
+          el('td', {}, String(h.week)),
+          el('td', {}, h.points.toFixed(2)),
+          el('td', {}, `${h.rank} / ${h.survivors}`),
+          el('td', { class: 'season-margin' }, formatMargin(h))
+        )
+      )
+    )
+  );
+}
+
+/**
+ * Season card for a team; fills in once the league's matchups are loaded
+ * @param {string} leagueId - Sleeper league ID
+ * @param {Object} roster - Roster object
+ * @param {number} selectedWeek - Week being viewed, highlighted in the table
+ * @returns {HTMLElement}
+ */
+export function buildSeasonCard(leagueId, roster, selectedWeek) {
+  const card = el(
+    'div',
+    { class: 'card season-card' },
+    el('h3', {}, 'Season'),
+    el('div', { class: 'loading' }, 'Loading weekly scores...')
+  );
+  const chopWeek = eliminatedWeek(roster);
+  const throughWeek = chopWeek
+    ? Math.min(chopWeek, lastCompletedWeek(leagueId))
+    : lastCompletedWeek(leagueId);
+
+  getSeasonMatchups(leagueId, { throughWeek })
+    .then(matchups => {
+      const history = computeWeeklyHistory(matchups, Number(roster.roster_id));
+      if (history.length === 0) {
+        card.replaceChildren(el('h3', {}, 'Season'), el('div', { class: 'empty' }, 'No completed weeks yet.'));
+        return;
+      }
+      const closest = history.filter(h => !h.chopped).sort((a, b) => a.margin - b.margin)[0];
+      card.replaceChildren(
+        el('h3', {}, 'Season'),
+        buildSparkline(history),
+        el(
+          'div',
+          { class: 'season-legend muted' },
+          el('span', { class: 'season-key' }, 'Team'),
+          el('span', { class: 'season-key chop' }, 'Chopped team'),
+          closest ? el('span', {}, `Closest call: week ${closest.week}, +${closest.margin.toFixed(2)}`) : ''
+        ),
+        buildHistoryTable(history, selectedWeek)
+      );
+    })
+    .catch(err => {
+      card.replaceChildren(
+        el('h3', {}, 'Season'),
+        el('div', { class: 'err' }, `Could not load matchups. ${err.message}`)
+      );
+    });
+
+  return card;
+}
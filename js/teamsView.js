@@ -1,11 +1,101 @@
 // js/teamsView.js
-import { LEAGUE_IDS, POSITION_COLORS, MAX_WEEKS } from './constants.js';
+import {
+  MAX_WEEKS,
+  CHOP_DANGER_MARGIN_PTS,
+  CHOP_DANGER_STORAGE_KEY
+} from './constants.js';
 import { cache, state } from './cache.js';
-import { api } from './api.js';
+import {
+  getLeagueBundle,
+  getWeekMatchups,
+  getPlayers,
+  eliminatedWeek,
+  isAliveInWeek
+} from './leagueData.js';
 import { el, fmtFab } from './dom.js';
+import { teamNameFor, getTeamName } from './names.js';
+import { getLeagueConfigs } from './leagueConfig.js';
+import { updateRoute } from './router.js';
+import { buildMovesCard } from './teamMoves.js';
+import { buildSeasonCard } from './teamSeason.js';
+import { assignStarters, slotLabel, positionColor } from './rosterSlots.js';
+import { playerLink } from './playerDrawer.js';
+import { compareHref } from './compareView.js';
 
 const columnsEl = document.getElementById('columns');
 const tabsEl = document.getElementById('league-tabs');
+const toolbarEl = document.getElementById('teams-toolbar');
+
+// Team open per the URL: roster ID within the league (both strings or null)
+let teamsRoute = { league: null, roster: null };
+
+// Week whose matchups are shown; null means the current week
+let selectedWeek = null;
+
+// Current-week team order: 'fab' (FAB remaining) or 'chop' (Chop Watch:
+// ranked by points with the chop line). Past weeks are always ranked by points.
+let teamOrder = 'fab';
+
+// Chop Watch flags teams within this many points of last place
+let dangerMargin = loadDangerMargin();
+
+// Leagues whose column shows the Graveyard (chopped teams) instead of the team list
+const graveyardLeagues = new Set();
+
+function loadDangerMargin() {
+  try {
+    const saved = localStorage.getItem(CHOP_DANGER_STORAGE_KEY);
+    if (saved !== null && Number(saved) >= 0) return Number(saved);
+  } catch (e) {
+    // storage unavailable - use the default
+  }
+  return CHOP_DANGER_MARGIN_PTS;
+}
+
+function saveDangerMargin() {
+  try {
+    localStorage.setItem(CHOP_DANGER_STORAGE_KEY, String(dangerMargin));
+  } catch (e) {
+    console.warn('Could not save danger margin:', e);
+  }
+}
+
+function viewWeek() {
+  return selectedWeek || state.currentWeek;
+}
+
+// Past weeks only: the current week is the default, later weeks have no scores
+function parseWeekParam(value) {
+  const week = Number(value);
+  const lastWeek = state.currentWeek || MAX_WEEKS;
+  return Number.isInteger(week) && week >= 1 && week < lastWeek ? week : null;
+}
+
+function isPastWeek(week) {
+  return week < state.currentWeek;
+}
+
+// Avatar image, or initials for owners without one
+function teamAvatarNode(u, teamName) {
+  if (u.avatar) {
+    return el(
+      'div',
+      { class: 'avatar' },
+      el('img', {
+        class: 'avatar-img',
+        src: `https://sleepercdn.com/avatars/thumbs/${u.avatar}`,
+        alt: teamName
+      })
+    );
+  }
+  const initials = (teamName || 'T')
+    .split(/\s+/)
+    .slice(0, 2)
+    .map(s => s[0])
+    .join('')
+    .toUpperCase();
+  return el('div', { class: 'avatar', 'aria-hidden': 'true' }, initials);
+}
 
 function mapUsersByOwnerId(users) {
   const m = new Map();
@@ -14,10 +104,6 @@ function mapUsersByOwnerId(users) {
       user_id: u.user_id,
       username: u.username,
       display_name: u.display_name,
-      team_name:
-        (u.metadata &&
-          (u.metadata.team_name || u.metadata.team_name_full)) ||
-        null,
       avatar: u.avatar || null
     });
   });
@@ -25,12 +111,12 @@ function mapUsersByOwnerId(users) {
 }
 
 export function setupLeagueTabs() {
-  LEAGUE_IDS.forEach((cfg, index) => {
+  getLeagueConfigs().forEach((cfg, index) => {
     const btn = el(
       'button',
       {
         class: 'tab-btn' + (index === state.activeLeagueIndex ? ' active' : ''),
-        onclick: () => setActiveLeague(index)
+        onclick: () => selectLeagueTab(index)
       },
       cfg.label || `League ${index + 1}`
     );
@@ -54,6 +140,120 @@ function setActiveLeague(index) {
   });
 }
 
+// League tab clicked (single-column layout): record it with whichever team
+// that league's column is showing
+function selectLeagueTab(index) {
+  setActiveLeague(index);
+  const cfg = getLeagueConfigs()[index];
+  const col = columnsEl.querySelector(`.col[data-index="${index}"]`);
+  const roster = (col && col.dataset.rosterId) || null;
+  teamsRoute = { league: cfg.id, roster };
+  updateRoute({ league: cfg.id, roster });
+}
+
+/**
+ * Teams toolbar: week picker (current or any past week), team order and the
+ * Chop Watch danger margin. Needs state.currentWeek, so call it after
+ * loadSeasonState().
+ */
+export function setupTeamsToolbar() {
+  const current = state.currentWeek || 1;
+  const weeks = [];
+  for (let w = current; w >= 1; w--) weeks.push(w);
+
+  const select = el(
+    'select',
+    {
+      class: 'text-input week-select',
+      id: 'teams-week',
+      onchange: () => selectWeek(Number(select.value))
+    },
+    ...weeks.map(w =>
+      el('option', { value: String(w) }, w === current ? `Week ${w} (current)` : `Week ${w}`)
+    )
+  );
+  select.value = String(viewWeek());
+
+  const orderControl = el('div', { class: 'segmented-control', id: 'teams-order' });
+  [
+    { value: 'fab', label: 'FAB Left' },
+    { value: 'chop', label: 'Chop Watch' }
+  ].forEach(opt => {
+    const btn = el(
+      'button',
+      { class: 'segment-btn', onclick: () => selectOrder(opt.value) },
+      opt.label
+    );
+    btn.dataset.value = opt.value;
+    orderControl.append(btn);
+  });
+
+  const dangerInput = el('input', {
+    class: 'text-input danger-input',
+    type: 'number',
+    min: '0',
+    step: '1',
+    value: String(dangerMargin),
+    title: 'Flag teams within this many points of last place',
+    onchange: () => {
+      const value = Number(dangerInput.value);
+      // Number('') is 0, so a cleared box would otherwise save a zero margin
+      if (dangerInput.value.trim() === '' || !(value >= 0)) {
+        dangerInput.value = String(dangerMargin);
+        return;
+      }
+      dangerMargin = value;
+      saveDangerMargin();
+      showAllColumns();
+    }
+  });
+
+  toolbarEl.replaceChildren(
+    el('label', { class: 'week-picker' }, el('span', { class: 'muted' }, 'Scoring'), select),
+    orderControl,
+    el(
+      'label',
+      { class: 'danger-picker', id: 'teams-danger' },
+      el('span', { class: 'muted' }, 'Danger within'),
+      dangerInput,
+      el('span', { class: 'muted' }, 'pts')
+    )
+  );
+  syncTeamsToolbar();
+}
+
+function syncTeamsToolbar() {
+  const select = document.getElementById('teams-week');
+  if (select) select.value = String(viewWeek());
+  document.querySelectorAll('#teams-order .segment-btn').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.value === teamOrder);
+  });
+  const danger = document.getElementById('teams-danger');
+  if (danger) danger.style.display = teamOrder === 'chop' ? '' : 'none';
+}
+
+function selectOrder(order) {
+  teamOrder = order;
+  updateRoute({ order: order === 'chop' ? 'chop' : null });
+  syncTeamsToolbar();
+  showAllColumns();
+}
+
+function selectWeek(week) {
+  selectedWeek = week === state.currentWeek ? null : week;
+  updateRoute({ week: selectedWeek });
+  showAllColumns();
+}
+
+// Re-renders every loaded column for the current route and week
+function showAllColumns() {
+  columnsEl.querySelectorAll('.col[data-league-id]').forEach(col => {
+    showColumn(col, col.dataset.leagueId).catch(err => {
+      console.error(`Failed to show league ${col.dataset.leagueId}:`, err);
+    });
+  });
+}
+
 export function updateResponsiveLayout() {
   if (window.innerWidth < 980) {
     columnsEl.classList.add('single-column');
@@ -66,41 +266,39 @@ export function updateResponsiveLayout() {
 }
 
 export async function initLeagues() {
-  // Detect current week once before loading leagues
-  if (!state.currentWeek) {
-    try {
-      // Use first league to detect current week
-      state.currentWeek = await api.detectCurrentWeek(LEAGUE_IDS[0].id, MAX_WEEKS);
-      console.log(`Detected current week: ${state.currentWeek}`);
-    } catch (e) {
-      console.error('Failed to detect current week, defaulting to 1:', e);
-      state.currentWeek = 1;
-    }
+  const leagueConfigs = getLeagueConfigs();
+  if (leagueConfigs.length === 0) {
+    columnsEl.append(
+      el(
+        'div',
+        { class: 'empty' },
+        'No leagues configured. Add one in the Leagues tab.'
+      )
+    );
+    return;
   }
 
-  for (const [i, leagueCfg] of LEAGUE_IDS.entries()) {
-    const col = renderColumnSkeleton(i);
-    columnsEl.append(col);
+  // All skeletons up front; a reloadLeagues() mid-load detaches them,
+  // so a stale load can't render into the new columns
+  const cols = leagueConfigs.map((cfg, i) => renderColumnSkeleton(i));
+  columnsEl.append(...cols);
 
+  await Promise.all(leagueConfigs.map(async (leagueCfg, i) => {
+    const col = cols[i];
     try {
-      const [league, rosters, users, matchups] = await Promise.all([
-        cache.leagues.get(leagueCfg.id) || api.league(leagueCfg.id),
-        cache.rosters.get(leagueCfg.id) || api.rosters(leagueCfg.id),
-        cache.users.get(leagueCfg.id) || api.leagueUsers(leagueCfg.id),
-        cache.matchups.get(leagueCfg.id) || api.matchups(leagueCfg.id, state.currentWeek)
+      const [{ league }] = await Promise.all([
+        getLeagueBundle(leagueCfg.id),
+        getWeekMatchups(leagueCfg.id, viewWeek())
       ]);
-
-      cache.leagues.set(leagueCfg.id, league);
-      cache.rosters.set(leagueCfg.id, rosters);
-      cache.users.set(leagueCfg.id, users);
-      cache.matchups.set(leagueCfg.id, matchups);
+      if (!col.isConnected) return;
 
       const tabBtn = tabsEl.querySelector(
         `.tab-btn[data-index="${i}"]`
       );
       if (tabBtn && league.name) tabBtn.textContent = league.name;
 
-      mountLeagueView(col, leagueCfg.id, league, rosters, users);
+      col.dataset.leagueId = leagueCfg.id;
+      await showColumn(col, leagueCfg.id);
     } catch (err) {
       col.replaceChildren(
         columnHeader('Error'),
@@ -115,7 +313,130 @@ export async function initLeagues() {
         )
       );
     }
-  }
+  }));
+}
+
+/**
+ * Shows the Teams state from the URL: active league, open team and week.
+ * Columns still loading pick it up when they finish.
+ * @param {{league?: string, roster?: string, week?: string}} params - Route params
+ */
+export function applyTeamsRoute(params) {
+  teamsRoute = { league: params.league || null, roster: params.roster || null };
+  selectedWeek = parseWeekParam(params.week);
+  teamOrder = params.order === 'chop' ? 'chop' : 'fab';
+
+  syncTeamsToolbar();
+
+  const index = getLeagueConfigs().findIndex(cfg => cfg.id === teamsRoute.league);
+  if (index !== -1) setActiveLeague(index);
+
+  showAllColumns();
+}
+
+/**
+ * Patches refreshed current-week points and FAB into the rendered columns
+ * (live scoring), flashing the values that changed. Past-week views are final
+ * and left alone.
+ */
+export function updateLivePoints() {
+  if (isPastWeek(viewWeek())) return;
+
+  columnsEl.querySelectorAll('.col[data-league-id]').forEach(col => {
+    const leagueId = col.dataset.leagueId;
+    const league = cache.leagues.get(leagueId);
+    const waiverCap = Number((league.settings && league.settings.waiver_budget) || 0);
+    const matchupsByRoster = new Map(
+      weekMatchups(leagueId).map(m => [String(m.roster_id), m])
+    );
+    const rostersById = new Map(
+      (cache.rosters.get(leagueId) || []).map(r => [String(r.roster_id), r])
+    );
+
+    // The Graveyard has no live points
+    if (graveyardLeagues.has(leagueId) && !col.dataset.rosterId) return;
+
+    // Chop Watch order and margins depend on the points: re-render the list
+    if (teamOrder === 'chop' && !col.dataset.rosterId) {
+      rerenderWithHighlights(col, leagueId, league);
+      return;
+    }
+
+    col.querySelectorAll('.row[data-roster-id]').forEach(row => {
+      const matchup = matchupsByRoster.get(row.dataset.rosterId);
+      const roster = rostersById.get(row.dataset.rosterId);
+      setLiveText(
+        row.querySelector('.week-points'),
+        `${((matchup && matchup.points) || 0).toFixed(2)} pts`
+      );
+      if (roster) {
+        const used = Number((roster.settings && roster.settings.waiver_budget_used) || 0);
+        setLiveText(row.querySelector('.team-fab'), fmtFab(Math.max(0, waiverCap - used)));
+      }
+    });
+
+    // Only a team showing the current week (not a chopped team's final week)
+    if (col.dataset.rosterId && Number(col.dataset.teamWeek) === viewWeek()) {
+      const matchup = matchupsByRoster.get(col.dataset.rosterId);
+      const playersPoints = (matchup && matchup.players_points) || {};
+      setLiveText(
+        col.querySelector('.team-points'),
+        `${((matchup && matchup.points) || 0).toFixed(2)} pts`
+      );
+      col.querySelectorAll('.player[data-player-id]').forEach(row => {
+        setLiveText(
+          row.querySelector('.player-points'),
+          (playersPoints[row.dataset.playerId] || 0).toFixed(2)
+        );
+      });
+    }
+  });
+}
+
+function setLiveText(node, text) {
+  if (!node || node.textContent === text) return;
+  node.textContent = text;
+  flashChanged(node);
+}
+
+function flashChanged(node) {
+  // Restart the highlight if the value changes again mid-animation
+  node.classList.remove('live-changed');
+  void node.offsetWidth;
+  node.classList.add('live-changed');
+}
+
+// Re-renders a team list, then highlights the points and FAB that changed
+function rerenderWithHighlights(col, leagueId, league) {
+  const before = new Map();
+  col.querySelectorAll('.row[data-roster-id]').forEach(row => {
+    before.set(row.dataset.rosterId, {
+      points: row.querySelector('.week-points').textContent,
+      fab: row.querySelector('.team-fab').textContent
+    });
+  });
+  mountLeagueView(col, leagueId, league, cache.rosters.get(leagueId), cache.users.get(leagueId));
+  col.querySelectorAll('.row[data-roster-id]').forEach(row => {
+    const old = before.get(row.dataset.rosterId);
+    if (!old) return;
+    const points = row.querySelector('.week-points');
+    const fab = row.querySelector('.team-fab');
+    if (points.textContent !== old.points) flashChanged(points);
+    if (fab.textContent !== old.fab) flashChanged(fab);
+  });
+}
+
+/**
+ * Rebuilds the league tabs and columns after the league list changes
+ */
+export async function reloadLeagues() {
+  tabsEl.replaceChildren();
+  columnsEl.replaceChildren();
+  const count = getLeagueConfigs().length;
+  if (state.activeLeagueIndex >= count) state.activeLeagueIndex = 0;
+  setupLeagueTabs();
+  updateResponsiveLayout();
+  await initLeagues();
 }
 
 /* internal rendering helpers */
@@ -135,6 +456,10 @@ function renderColumnSkeleton(index) {
   return c;
 }
 
+function seasonLabel(league) {
+  return `Season ${league.season} • Week ${viewWeek()}`;
+}
+
 function columnHeader(title, season) {
   const hdr = el('div', { class: 'col-header' });
   hdr.append(
@@ -144,21 +469,195 @@ function columnHeader(title, season) {
   return hdr;
 }
 
+// Matchups for the week being viewed, if already loaded
+function weekMatchups(leagueId) {
+  const byWeek = cache.matchups.get(leagueId);
+  return (byWeek && byWeek.get(viewWeek())) || [];
+}
+
+/**
+ * Renders a loaded league's column as the route asks: its team list, or the
+ * open team if the route names one of its rosters
+ */
+async function showColumn(col, leagueId) {
+  const week = viewWeek();
+  await getWeekMatchups(leagueId, week);
+  // Another route was applied while the week loaded
+  if (!col.isConnected || week !== viewWeek()) return;
+
+  const league = cache.leagues.get(leagueId);
+  const rosters = cache.rosters.get(leagueId) || [];
+  const users = cache.users.get(leagueId) || [];
+  const roster =
+    teamsRoute.league === leagueId && teamsRoute.roster
+      ? rosters.find(r => String(r.roster_id) === teamsRoute.roster)
+      : null;
+
+  if (roster) {
+    mountTeamView(col, leagueId, league, roster, mapUsersByOwnerId(users));
+  } else {
+    mountLeagueView(col, leagueId, league, rosters, users);
+  }
+}
+
+function openTeam(container, leagueId, league, roster, usersById) {
+  teamsRoute = { league: leagueId, roster: String(roster.roster_id) };
+  updateRoute(teamsRoute);
+  mountTeamView(container, leagueId, league, roster, usersById);
+}
+
+function closeTeam(container, leagueId, league) {
+  if (teamsRoute.league === leagueId) teamsRoute.roster = null;
+  updateRoute({ league: leagueId, roster: null });
+  mountLeagueView(
+    container,
+    leagueId,
+    league,
+    cache.rosters.get(leagueId),
+    cache.users.get(leagueId)
+  );
+}
+
 function mountLeagueView(container, leagueId, league, rosters, users) {
-  const matchups = cache.matchups.get(leagueId) || [];
+  const matchups = weekMatchups(leagueId);
+  const week = viewWeek();
+  const showGraveyard = graveyardLeagues.has(leagueId);
+  const chopped = rosters.filter(r => !isAliveInWeek(r, week));
+  delete container.dataset.rosterId;
+  delete container.dataset.teamWeek;
+
+  const remount = () =>
+    mountLeagueView(container, leagueId, league, cache.rosters.get(leagueId), cache.users.get(leagueId));
+  const modeBtn = (label, graveyard) =>
+    el(
+      'button',
+      {
+        class: 'segment-btn' + (graveyard === showGraveyard ? ' active' : ''),
+        onclick: () => {
+          if (graveyard) graveyardLeagues.add(leagueId);
+          else graveyardLeagues.delete(leagueId);
+          remount();
+        }
+      },
+      label
+    );
+
   container.replaceChildren(
     columnHeader(
       league.name || 'League',
-      `Season ${league.season}`
+      seasonLabel(league)
     ),
     el(
       'div',
       { class: 'view' },
-      buildTeamList(container, leagueId, league, rosters, users, matchups)
+      el(
+        'div',
+        { class: 'segmented-control league-mode' },
+        modeBtn(`Alive (${rosters.length - chopped.length})`, false),
+        modeBtn(`Graveyard (${chopped.length})`, true)
+      ),
+      showGraveyard
+        ? buildGraveyard(container, leagueId, league, rosters, users, chopped)
+        : buildTeamList(container, leagueId, league, rosters, users, matchups)
     )
   );
 }
 
+/**
+ * Teams chopped before the viewed week, in elimination order, with the score
+ * that got them chopped, how far short of the lowest survivor it was and the
+ * FAB they never spent. Fills in once each chop week's matchups are loaded.
+ */
+function buildGraveyard(container, leagueId, league, rosters, users, chopped) {
+  const list = el('div', { class: 'list' });
+  if (chopped.length === 0) {
+    list.append(el('div', { class: 'empty' }, 'No teams chopped yet.'));
+    return list;
+  }
+  list.append(el('div', { class: 'loading' }, 'Loading chop weeks...'));
+
+  const waiverCap = Number((league.settings && league.settings.waiver_budget) || 0);
+  const usersById = mapUsersByOwnerId(users);
+  const chopWeeks = [...new Set(chopped.map(eliminatedWeek).filter(w => w > 0))];
+
+  Promise.all(chopWeeks.map(w => getWeekMatchups(leagueId, w)))
+    .then(weeks => {
+      const pointsByWeek = new Map();
+      chopWeeks.forEach((w, i) => {
+        pointsByWeek.set(w, new Map(weeks[i].map(m => [m.roster_id, m.points || 0])));
+      });
+      const pointsIn = (r, w) => (pointsByWeek.get(w) && pointsByWeek.get(w).get(r.roster_id)) || 0;
+
+      // Lowest score among the teams that survived each chop week
+      const survivorLow = new Map();
+      chopWeeks.forEach(w => {
+        const survivors = rosters.filter(r => isAliveInWeek(r, w + 1));
+        survivorLow.set(w, Math.min(...survivors.map(r => pointsIn(r, w))));
+      });
+
+      const ordered = chopped.slice().sort(
+        (a, b) =>
+          eliminatedWeek(a) - eliminatedWeek(b) ||
+          pointsIn(a, eliminatedWeek(a)) - pointsIn(b, eliminatedWeek(b))
+      );
+
+      list.replaceChildren(
+        ...ordered.map(r => {
+          const u = usersById.get(r.owner_id) || {};
+          const teamName = teamNameFor(users, r);
+          const chopWeek = eliminatedWeek(r);
+          const points = pointsIn(r, chopWeek);
+          const low = survivorLow.get(chopWeek);
+          const unspent = Math.max(
+            0,
+            waiverCap - Number((r.settings && r.settings.waiver_budget_used) || 0)
+          );
+          const details = chopWeek
+            ? [
+                `Week ${chopWeek}`,
+                `${points.toFixed(2)} pts`,
+                Number.isFinite(low) ? `missed by ${(low - points).toFixed(2)}` : null
+              ]
+            : ['Chop week unknown'];
+
+          const row = el(
+            'div',
+            {
+              class: 'row chopped',
+              role: 'button',
+              tabindex: '0',
+              onclick: () => openTeam(container, leagueId, league, r, usersById),
+              onkeydown: e => {
+                if (e.key === 'Enter' || e.key === ' ') row.click();
+              }
+            },
+            teamAvatarNode(u, teamName),
+            el(
+              'div',
+              {},
+              el('div', { class: 'title' }, teamName),
+              el('div', { class: 'meta' }, details.filter(Boolean).join(' • '))
+            ),
+            el(
+              'div',
+              {},
+              el('div', { class: 'fab' }, fmtFab(unspent)),
+              el('div', { class: 'cap muted', style: 'text-align:right' }, 'FAB unspent')
+            )
+          );
+          return row;
+        })
+      );
+    })
+    .catch(err => {
+      list.replaceChildren(
+        el('div', { class: 'err' }, `Could not load chop weeks. ${err.message}`)
+      );
+    });
+
+  return list;
+}
+
 function buildTeamList(container, leagueId, league, rosters, users, matchups) {
   const waiverCap = Number(
     (league.settings && league.settings.waiver_budget) || 0
@@ -170,18 +669,24 @@ function buildTeamList(container, leagueId, league, rosters, users, matchups) {
   (matchups || []).forEach(m => {
     pointsByRosterId.set(m.roster_id, m.points || 0);
   });
-  const active = rosters.filter(
-    r =>
-      !(
-        r.settings &&
-        Object.prototype.hasOwnProperty.call(
-          r.settings,
-          'eliminated'
-        )
-      )
-  );
+  const week = viewWeek();
+  const pastWeek = isPastWeek(week);
+  const chopWatch = !pastWeek && teamOrder === 'chop';
+  const rankByPoints = pastWeek || chopWatch;
+  const active = rosters.filter(r => isAliveInWeek(r, week));
+  const choppedThisWeek = r => eliminatedWeek(r) === week;
 
+  // Past weeks are final: rank by that week's points, with the teams
+  // chopped that week last, below the chop line. Chop Watch ranks the
+  // current week the same way.
   active.sort((a, b) => {
+    if (rankByPoints) {
+      return (
+        choppedThisWeek(a) - choppedThisWeek(b) ||
+        (pointsByRosterId.get(b.roster_id) || 0) -
+          (pointsByRosterId.get(a.roster_id) || 0)
+      );
+    }
     const aRem =
       waiverCap -
       Number(
@@ -197,10 +702,24 @@ function buildTeamList(container, leagueId, league, rosters, users, matchups) {
 
   const list = el('div', { class: 'list' });
 
-  active.forEach(r => {
+  // Chop line above the first chopped team, or the last-place team if
+  // Sleeper hasn't recorded the chop (always, for the current week)
+  let chopIndex = -1;
+  if (rankByPoints && active.length > 1) {
+    chopIndex = active.findIndex(choppedThisWeek);
+    if (chopIndex === -1) chopIndex = active.length - 1;
+  }
+  // Margins are measured against the best score below the line
+  const chopPoints =
+    chopIndex === -1 ? 0 : pointsByRosterId.get(active[chopIndex].roster_id) || 0;
+
+  active.forEach((r, i) => {
+    if (i === chopIndex) {
+      list.append(el('div', { class: 'chop-line' }, 'Chop line'));
+    }
+    const isChopped = choppedThisWeek(r);
     const u = usersById.get(r.owner_id) || {};
-    const teamName =
-      u.team_name || u.display_name || 'Team';
+    const teamName = teamNameFor(users, r);
     const username = u.username ? `@${u.username}` : '';
     const remaining = Math.max(
       0,
@@ -210,41 +729,20 @@ function buildTeamList(container, leagueId, league, rosters, users, matchups) {
         )
     );
     const points = pointsByRosterId.get(r.roster_id) || 0;
-    const initials = (teamName || 'T')
-      .split(/\s+/)
-      .slice(0, 2)
-      .map(s => s[0])
-      .join('')
-      .toUpperCase();
-
-    let avatarNode;
-    if (u.avatar) {
-      const src = `https://sleepercdn.com/avatars/thumbs/${u.avatar}`;
-      avatarNode = el(
-        'div',
-        { class: 'avatar' },
-        el('img', {
-          class: 'avatar-img',
-          src,
-          alt: teamName
-        })
-      );
-    } else {
-      avatarNode = el(
-        'div',
-        { class: 'avatar', 'aria-hidden': 'true' },
-        initials
-      );
-    }
+    const aboveLine = chopIndex !== -1 && i < chopIndex;
+    const margin = points - chopPoints;
+    const inDanger = chopWatch && (!aboveLine || margin <= dangerMargin);
+    const avatarNode = teamAvatarNode(u, teamName);
 
     const row = el(
       'div',
       {
-        class: 'row',
+        class: 'row' + (isChopped ? ' chopped' : '') + (inDanger ? ' danger' : ''),
+        'data-roster-id': String(r.roster_id),
         role: 'button',
         tabindex: '0',
         onclick: () =>
-          mountTeamView(
+          openTeam(
             container,
             leagueId,
             league,
@@ -259,13 +757,22 @@ function buildTeamList(container, leagueId, league, rosters, users, matchups) {
       el(
         'div',
         {},
-        el('div', { class: 'title' }, teamName),
-        el('div', { class: 'meta' }, `${points.toFixed(2)} pts`)
+        el(
+          'div',
+          { class: 'title' },
+          teamName,
+          isChopped ? el('span', { class: 'badge chopped-badge' }, 'Chopped') : '',
+          inDanger ? el('span', { class: 'badge danger-badge' }, aboveLine ? 'Danger' : 'Last') : ''
+        ),
+        el('div', { class: 'meta week-points' }, `${points.toFixed(2)} pts`),
+        aboveLine
+          ? el('div', { class: 'meta chop-margin' }, `+${margin.toFixed(2)} above the chop`)
+          : ''
       ),
       el(
         'div',
         {},
-        el('div', { class: 'fab' }, fmtFab(remaining)),
+        el('div', { class: 'fab team-fab' }, fmtFab(remaining)),
         el(
           'div',
           {
@@ -299,15 +806,29 @@ async function mountTeamView(
   usersById
 ) {
   const user = usersById.get(roster.owner_id) || {};
-  const teamName =
-    user.team_name || user.display_name || 'Team';
+  const teamName = getTeamName(leagueId, roster.roster_id);
   const header = columnHeader(
     league.name || 'League',
-    `Season ${league.season}`
+    seasonLabel(league)
   );
   
+  const rosterKey = String(roster.roster_id);
+  container.dataset.rosterId = rosterKey;
+  const chopWeek = eliminatedWeek(roster);
+  const alive = isAliveInWeek(roster, viewWeek());
+  // Chopped teams show their final lineup, from the week they were chopped
+  const week = alive || !chopWeek ? viewWeek() : chopWeek;
+  container.dataset.teamWeek = String(week);
+
   // Get matchups to show points
-  const matchups = cache.matchups.get(leagueId) || [];
+  let matchups = [];
+  try {
+    matchups = await getWeekMatchups(leagueId, week);
+  } catch (err) {
+    console.warn(`Failed to load week ${week} matchups:`, err);
+  }
+  // Navigated elsewhere while the week loaded
+  if (container.dataset.rosterId !== rosterKey) return;
   const matchup = matchups.find(m => m.roster_id === roster.roster_id);
   const totalPoints = matchup ? (matchup.points || 0) : 0;
 
@@ -319,18 +840,14 @@ async function mountTeamView(
       'button',
       {
         class: 'btn',
-        onclick: () =>
-          mountLeagueView(
-            container,
-            leagueId,
-            league,
-            cache.rosters.get(leagueId),
-            cache.users.get(leagueId)
-          )
+        onclick: () => closeTeam(container, leagueId, league)
       },
       '← Back'
     ),
     el('div', { class: 'team-name' }, teamName),
+    chopWeek === week
+      ? el('span', { class: 'badge chopped-badge' }, alive ? 'Chopped' : `Chopped week ${week}`)
+      : '',
     el(
       'div',
       { class: 'team-points', style: 'margin-left: auto; font-size: 1.5rem; font-weight: bold;' },
@@ -340,41 +857,55 @@ async function mountTeamView(
       'div',
       { class: 'muted' },
       user.username ? `@${user.username}` : ''
-    )
+    ),
+    el('a', { class: 'btn', href: compareHref(leagueId, roster.roster_id) }, 'Compare')
   );
+  const seasonCard = buildSeasonCard(leagueId, roster, week);
   view.append(
     head,
+    seasonCard,
     el('div', { class: 'loading' }, 'Loading players...')
   );
   container.replaceChildren(header, view);
 
-  try {
-    const playersAll = await api.playersAllNFL();
-    const startersIds = (roster.starters || []).filter(
-      id => id && id !== '0'
+  if (!isAliveInWeek(roster, week)) {
+    view.replaceChildren(
+      head,
+      seasonCard,
+      el('div', { class: 'empty' }, 'Chopped before this week; no lineup to show.')
     );
-    const allIds = (roster.players || []).filter(Boolean);
+    return;
+  }
+
+  try {
+    const playersAll = await getPlayers();
+    // Past weeks show the lineup the team played that week
+    const lineup =
+      isPastWeek(week) && matchup && Array.isArray(matchup.players) ? matchup : roster;
+    // Starters keep their '0' placeholders so they line up with roster_positions
+    const starterSlots = assignStarters(league, lineup.starters, playersAll);
+    const startersIds = starterSlots.map(s => s.playerId).filter(Boolean);
+    const allIds = (lineup.players || []).filter(Boolean);
     const benchIds = allIds.filter(
       id => !startersIds.includes(id)
     );
 
-    const starters = startersIds
-      .map(id => playersAll[id])
-      .filter(Boolean);
     const bench = benchIds
       .map(id => playersAll[id])
       .filter(Boolean);
 
     const grid = el('div', { class: 'grid' });
     grid.append(
-      renderPlayerCard('Starters', starters, matchup),
-      renderPlayerCard('Bench', bench, matchup)
+      renderStartersCard(starterSlots, matchup, week),
+      renderPlayerCard('Bench', bench, matchup),
+      buildMovesCard(leagueId, roster, playersAll)
     );
 
-    view.replaceChildren(head, grid);
+    view.replaceChildren(head, seasonCard, grid);
   } catch (err) {
     view.replaceChildren(
       head,
+      seasonCard,
       el(
         'div',
         { class: 'err' },
@@ -384,6 +915,140 @@ async function mountTeamView(
   }
 }
 
+// Points each player scored in the matchup
+function pointsByPlayer(matchup) {
+  const playerPoints = new Map();
+  if (matchup && matchup.players_points) {
+    Object.entries(matchup.players_points).forEach(([playerId, points]) => {
+      playerPoints.set(playerId, points || 0);
+    });
+  }
+  return playerPoints;
+}
+
+/**
+ * One player row
+ * @param {Object} p - Player from the directory
+ * @param {number} points - Points scored this week
+ * @param {Object} [slot] - Lineup slot from assignStarters(), for starters
+ * @returns {HTMLElement}
+ */
+function renderPlayerRow(p, points, slot) {
+  const name =
+    (p &&
+      (p.full_name ||
+        (p.first_name &&
+          p.last_name &&
+          p.first_name + ' ' + p.last_name) ||
+        p.first_name)) ||
+    'Player';
+  const team =
+    (p && (p.team || (p.metadata && p.metadata.team))) ||
+    '';
+  const pos = (p && p.position) || '';
+  const bye =
+    p && p.bye_week ? `Bye ${p.bye_week}` : '';
+  const playerId = p && p.player_id;
+  const label = pos || '?';
+  const meta = [
+    team ? `${team}${bye ? ' • ' + bye : ''}` : bye,
+    slot && !slot.eligible ? `Not eligible for ${slotLabel(slot.slot)}` : ''
+  ].filter(Boolean);
+
+  return el(
+    'div',
+    {
+      class: 'player' + (slot ? ' slotted' : '') + (slot && !slot.eligible ? ' slot-warning' : ''),
+      'data-player-id': playerId || ''
+    },
+    slot ? renderSlotTag(slot.slot) : '',
+    el(
+      'div',
+      {
+        class: 'p-avatar',
+        'aria-hidden': 'true',
+        style: `background:${positionColor(pos)}`
+      },
+      label
+    ),
+    el(
+      'div',
+      {},
+      el('div', {}, playerId ? playerLink(playerId, name) : name),
+      el('div', { class: 'muted' }, meta.join(' • '))
+    ),
+    el(
+      'div',
+      { class: 'player-points', style: 'font-weight: bold; color: var(--text);' },
+      `${points.toFixed(2)}`
+    )
+  );
+}
+
+function renderSlotTag(slot) {
+  return el(
+    'span',
+    { class: 'slot-tag', style: `border-color:${positionColor(slot)};color:${positionColor(slot)}` },
+    slotLabel(slot)
+  );
+}
+
+// A starting slot nobody was put in for the week shown
+function renderEmptySlotRow(slot, week) {
+  return el(
+    'div',
+    { class: 'player slotted empty-slot' },
+    renderSlotTag(slot.slot),
+    el('div', { class: 'p-avatar', 'aria-hidden': 'true' }, '!'),
+    el(
+      'div',
+      {},
+      el('div', {}, 'Empty slot'),
+      el('div', { class: 'muted' }, isPastWeek(week) ? `Scored 0 in week ${week}` : 'Scores 0 this week')
+    ),
+    el('div', { class: 'player-points' }, '0.00')
+  );
+}
+
+/**
+ * Starters card, one row per starting slot in roster_positions order
+ * @param {Array} lineup - From assignStarters()
+ * @param {Object} matchup - Matchup for points
+ * @param {number} week - Week the lineup is from
+ * @returns {HTMLElement}
+ */
+function renderStartersCard(lineup, matchup, week) {
+  const card = el('div', { class: 'card' });
+  card.append(el('h3', {}, 'Starters'));
+
+  if (lineup.length === 0) {
+    card.append(el('div', { class: 'empty' }, 'No players to show.'));
+    return card;
+  }
+
+  const emptyCount = lineup.filter(s => s.empty).length;
+  const ineligibleCount = lineup.filter(s => !s.eligible).length;
+  const warnings = [
+    emptyCount ? `${emptyCount} empty slot${emptyCount === 1 ? '' : 's'}` : '',
+    ineligibleCount ? `${ineligibleCount} ineligible starter${ineligibleCount === 1 ? '' : 's'}` : ''
+  ].filter(Boolean);
+  if (warnings.length) {
+    card.append(el('div', { class: 'slot-warnings' }, `⚠ ${warnings.join(', ')}`));
+  }
+
+  const playerPoints = pointsByPlayer(matchup);
+  lineup.forEach(slot => {
+    if (slot.empty) {
+      card.append(renderEmptySlotRow(slot, week));
+      return;
+    }
+    const p = slot.player || { player_id: slot.playerId, first_name: `Player ${slot.playerId}` };
+    card.append(renderPlayerRow(p, playerPoints.get(slot.playerId) || 0, slot));
+  });
+
+  return card;
+}
+
 function renderPlayerCard(title, arr, matchup) {
   const card = el('div', { class: 'card' });
   card.append(el('h3', {}, title));
@@ -399,65 +1064,10 @@ function renderPlayerCard(title, arr, matchup) {
     return card;
   }
   
-  // Create map of player points from matchup
-  const playerPoints = new Map();
-  if (matchup && matchup.players_points) {
-    Object.entries(matchup.players_points).forEach(([playerId, points]) => {
-      playerPoints.set(playerId, points || 0);
-    });
-  }
-
+  const playerPoints = pointsByPlayer(matchup);
   arr.forEach(p => {
-    const name =
-      (p &&
-        (p.full_name ||
-          (p.first_name &&
-            p.last_name &&
-            p.first_name + ' ' + p.last_name) ||
-          p.first_name)) ||
-      'Player';
-    const team =
-      (p && (p.team || (p.metadata && p.metadata.team))) ||
-      '';
-    const pos = (p && p.position) || '';
-    const bye =
-      p && p.bye_week ? `Bye ${p.bye_week}` : '';
     const playerId = p && p.player_id;
-    const points = playerId ? (playerPoints.get(playerId) || 0) : 0;
-    const label = pos || '?';
-    const color = POSITION_COLORS[pos] || '#9bb3c9';
-
-    const row = el(
-      'div',
-      { class: 'player' },
-      el(
-        'div',
-        {
-          class: 'p-avatar',
-          'aria-hidden': 'true',
-          style: `background:${color}`
-        },
-        label
-      ),
-      el(
-        'div',
-        {},
-        el('div', {}, document.createTextNode(name)),
-        el(
-          'div',
-          { class: 'muted' },
-          team
-            ? `${team}${bye ? ' • ' + bye : ''}`
-            : bye || ''
-        )
-      ),
-      el(
-        'div',
-        { style: 'font-weight: bold; color: var(--text);' },
-        `${points.toFixed(2)}`
-      )
-    );
-    card.append(row);
+    card.append(renderPlayerRow(p, playerId ? (playerPoints.get(playerId) || 0) : 0));
   });
 
   return card;